@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const cacheVersion = 1;
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Usage facts of every file keyed by the hash of its content. Finding the
+// symbol behind each identifier is the slow part of an analysis and it only
+// changes when the file itself or code it depends on changes.
+//
+// The facts of a file are reused while its content, the files it imports and
+// the files declaring the symbols it uses are unchanged, and nothing it
+// imports, directly or not, was invalidated. Types flow through imports, so a
+// change deep down the import chain may change what an identifier refers to.
+class AnalysisCache {
+  constructor(cachePath, configKey, logger = console) {
+    this.cachePath = cachePath; // Undefined keeps the cache in memory only
+    this.configKey = configKey; // Compiler options and analyzer version
+    this.logger = logger;
+    this.entries = new Map(); // Facts of the previous run, per file
+    this.nextEntries = new Map(); // Facts of the current run, per file
+    this.validFiles = new Set();
+
+    if (cachePath) this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.cachePath)) return;
+
+      const cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+      if (cache.version !== cacheVersion || cache.configKey !== this.configKey) {
+        this.logger.log('♻️ Analysis cache is outdated, starting over');
+        return;
+      }
+      this.entries = new Map(Object.entries(cache.files));
+    } catch (error) {
+      this.logger.warn(`⚠️ Could not read analysis cache ${this.cachePath}:`, error);
+    }
+  }
+
+  save() {
+    this.entries = this.nextEntries;
+    this.nextEntries = new Map();
+    if (!this.cachePath) return;
+
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(this.cachePath)), { recursive: true });
+      fs.writeFileSync(
+        this.cachePath,
+        JSON.stringify({
+          version: cacheVersion,
+          configKey: this.configKey,
+          files: Object.fromEntries(this.entries)
+        })
+      );
+    } catch (error) {
+      this.logger.warn(
+        `⚠️ Could not write analysis cache ${this.cachePath}:`,
+        error
+      );
+    }
+  }
+
+  // Decides which cached facts are still valid for the program about to be
+  // analyzed. Needs the module graph of the new program.
+  prepare(sourceFiles, moduleGraph) {
+    const hashes = new Map(
+      sourceFiles.map((sourceFile) => [
+        sourceFile.fileName,
+        hashText(sourceFile.text)
+      ])
+    );
+    const isUnchanged = (file) =>
+      this.entries.has(file) && this.entries.get(file).hash === hashes.get(file);
+
+    const invalid = [];
+    hashes.forEach((hash, file) => {
+      const entry = this.entries.get(file);
+      const dependencies = Array.from(
+        moduleGraph.dependencies.get(file) || []
+      ).sort();
+      const isValid =
+        isUnchanged(file) &&
+        entry.dependencies.join('\n') === dependencies.join('\n') &&
+        entry.dependencies.every(isUnchanged) &&
+        entry.declarationFiles.every(isUnchanged);
+      if (!isValid) invalid.push(file);
+    });
+
+    // Everything importing an invalid file may see different types now
+    const invalidFiles = moduleGraph.findDependents(invalid);
+    this.validFiles = new Set(
+      Array.from(hashes.keys()).filter((file) => !invalidFiles.has(file))
+    );
+    this.hashes = hashes;
+    this.moduleGraph = moduleGraph;
+
+    return { reused: this.validFiles.size, total: hashes.size };
+  }
+
+  getFacts(fileName) {
+    if (!this.validFiles.has(fileName)) return undefined;
+
+    const entry = this.entries.get(fileName);
+    this.nextEntries.set(fileName, entry);
+    return entry.facts;
+  }
+
+  setFacts(fileName, facts, declarationFiles) {
+    this.nextEntries.set(fileName, {
+      hash: this.hashes.get(fileName),
+      dependencies: Array.from(
+        this.moduleGraph.dependencies.get(fileName) || []
+      ).sort(),
+      declarationFiles: Array.from(declarationFiles).sort(),
+      facts
+    });
+  }
+}
+
+export { AnalysisCache, hashText };
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+
+// Findings are keyed by kind, file and name but not by line, so a baseline
+// keeps matching while code around the findings moves. Files are stored
+// relative to the baseline itself so it can be committed.
+function getFindingKey(item, baseDir) {
+  const file = path.relative(baseDir, item.file).replace(/\\/g, '/');
+  return `${item.type}:${file}:${item.name}`;
+}
+
+function writeBaseline(baselinePath, items) {
+  const baseDir = path.dirname(path.resolve(baselinePath));
+  const findings = items
+    .map((item) => ({
+      key: getFindingKey(item, baseDir),
+      reason: item.reason
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  fs.mkdirSync(baseDir, { recursive: true });
+  fs.writeFileSync(
+    baselinePath,
+    `${JSON.stringify({ version: 1, findings }, null, 2)}\n`
+  );
+}
+
+// Returns the number of times each key was recorded, or undefined when the
+// baseline does not exist yet
+function readBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) return undefined;
+
+  const { findings = [] } = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  const counts = new Map();
+  findings.forEach(({ key }) => counts.set(key, (counts.get(key) || 0) + 1));
+  return counts;
+}
+
+// Splits the findings into the ones already recorded in the baseline and new
+// ones. Keys may repeat (two unused locals of the same name in one file), so
+// every recorded occurrence matches one finding only.
+function compareWithBaseline(items, baseline, baselinePath) {
+  const baseDir = path.dirname(path.resolve(baselinePath));
+  const remaining = new Map(baseline);
+  const newItems = [];
+  let knownCount = 0;
+
+  items.forEach((item) => {
+    const key = getFindingKey(item, baseDir);
+    const count = remaining.get(key) || 0;
+    if (count > 0) {
+      remaining.set(key, count - 1);
+      knownCount++;
+    } else {
+      newItems.push(item);
+    }
+  });
+
+  const fixedCount = Array.from(remaining.values()).reduce((a, b) => a + b, 0);
+  return { newItems, knownCount, fixedCount };
+}
+
+export { compareWithBaseline, getFindingKey, readBaseline, writeBaseline };
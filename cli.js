@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+
+import { getConfigOptions, loadConfig } from './config.js';
+import { findUnusedCode } from './findDeadCode.js';
+import { formats } from './reporters.js';
+
+// Command line interface, the analysis itself lives in findDeadCode.js. Flags
+// add to or replace what the project configuration says.
+const usage = `
+Usage: node findDeadCode.js [PROJECT_PATH] [TSCONFIG_PATH] [OPTIONS]
+
+Options:
+  PROJECT_PATH       Path to your project (default: current directory)
+  TSCONFIG_PATH      Path to tsconfig.json (optional), same as --tsconfig
+  --config <path>    Project configuration (default: deadcode.config.json,
+                     deadcode.config.js or the "deadcode" key of package.json
+                     in the project)
+  --tsconfig <path>  Path to tsconfig.json
+  --debug            Enable debug mode for verbose output
+  --show-reasons     Show why each item is considered unused
+  --include-details  Include all declarations and usages in report
+  --entry <glob>     Treat matching files as entry points (repeatable)
+  --ignore <glob>    Never report findings in matching files (repeatable)
+  --ignore-name <pattern>
+                     Never report names matching the pattern, e.g. 'use*'
+                     (repeatable)
+  --non-production <glob>
+                     Treat matching files like tests and stories: code only
+                     they use is reported as test-only (repeatable)
+  --constant <name=value>
+                     Treat an expression as constant, e.g.
+                     process.env.NODE_ENV=production; branches it rules out
+                     are reported as unreachable (repeatable)
+  --plugin <module>  Load a plugin describing framework conventions, the
+                     default export of the module (repeatable)
+  --fix              Remove unused declarations, exports and orphaned imports
+  --dry-run          Print the removals as a unified diff without writing files
+  --interactive      Confirm each removal before it is made
+  --format <format>  Report format: ${formats.join(', ')}; printed to stdout
+                     unless --output is given
+  --output <path>    Write the report to this file
+  --graph <path>     Write the import graph, as Graphviz for .dot and .gv,
+                     as Mermaid for .mmd and .md
+  --baseline <file>  Only report findings missing from the baseline and exit
+                     with code 1 when there are any
+  --update-baseline  Record the current findings in the --baseline file
+  --changed-since <ref>
+                     Only report findings whose declaration changed since
+                     the git ref, that lost their last user in the change
+                     or that only such findings keep alive
+  --age              Annotate findings with how long git history shows them
+                     untouched, oldest first
+  --cache            Reuse the usages of unchanged files from the last run
+  --cache-location <path>
+                     Where the cache is stored (default: .deadcodecache in
+                     the project)
+  --watch            Analyze again whenever files change
+  --help, -h         Show this help message
+
+Examples:
+  node findDeadCode.js
+  node findDeadCode.js ./src
+  node findDeadCode.js ./src ./tsconfig.json
+  node findDeadCode.js ./src --debug --show-reasons
+  node findDeadCode.js ./src --fix --dry-run
+  node findDeadCode.js . --format sarif --output dead-code.sarif
+  node findDeadCode.js . --format html --output dead-code.html
+  node findDeadCode.js . --graph imports.dot
+  node findDeadCode.js . --baseline dead-code-baseline.json
+  node findDeadCode.js . --changed-since origin/main --age
+  node findDeadCode.js . --config ci/deadcode.config.json
+  node findDeadCode.js . --watch --show-reasons
+`;
+
+const optionDefinitions = {
+  config: { type: 'string' },
+  tsconfig: { type: 'string' },
+  debug: { type: 'boolean', default: false },
+  'show-reasons': { type: 'boolean', default: false },
+  'include-details': { type: 'boolean', default: false },
+  entry: { type: 'string', multiple: true, default: [] },
+  ignore: { type: 'string', multiple: true, default: [] },
+  'ignore-name': { type: 'string', multiple: true, default: [] },
+  'non-production': { type: 'string', multiple: true, default: [] },
+  constant: { type: 'string', multiple: true, default: [] },
+  plugin: { type: 'string', multiple: true, default: [] },
+  fix: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  interactive: { type: 'boolean', default: false },
+  format: { type: 'string' },
+  output: { type: 'string' },
+  graph: { type: 'string' },
+  baseline: { type: 'string' },
+  'update-baseline': { type: 'boolean', default: false },
+  'changed-since': { type: 'string' },
+  age: { type: 'boolean', default: false },
+  cache: { type: 'boolean', default: false },
+  'cache-location': { type: 'string' },
+  watch: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+let values;
+let positionals;
+try {
+  ({ values, positionals } = parseArgs({
+    args: process.argv.slice(2),
+    options: optionDefinitions,
+    allowPositionals: true
+  }));
+} catch (error) {
+  console.error(`❌ ${error.message}, see --help`);
+  process.exit(1);
+}
+
+if (values.help) {
+  console.log(usage);
+  process.exit(0);
+}
+
+if (positionals.length > 2) {
+  console.error(
+    `❌ Expected at most a project path and a tsconfig path, got: ${positionals.join(' ')}`
+  );
+  process.exit(1);
+}
+const [projectPath = process.cwd(), tsConfigArgument] = positionals;
+
+// Check if the project path exists
+if (!fs.existsSync(projectPath)) {
+  console.error(`❌ Project path does not exist: ${projectPath}`);
+  process.exit(1);
+}
+
+// `true`, `false`, `null` and numbers are what they look like, anything else
+// is a string
+const parseConstant = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+};
+
+// The project configuration comes first, flags add to it or replace it
+let config;
+try {
+  config = await loadConfig(projectPath, values.config);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+const configOptions = config ? getConfigOptions(config) : {};
+
+const tsConfigPath =
+  values.tsconfig || tsConfigArgument || configOptions.tsConfigPath;
+const options = {
+  includeFiles: configOptions.includeFiles || [],
+  rules: configOptions.rules || {},
+  overrides: configOptions.overrides || [],
+  debug: values.debug,
+  showReasons: values['show-reasons'],
+  includeDetails: values['include-details'],
+  fix: values.fix,
+  dryRun: values['dry-run'],
+  interactive: values.interactive,
+  entryPoints: [...(configOptions.entryPoints || []), ...values.entry],
+  ignoreFiles: [...(configOptions.ignoreFiles || []), ...values.ignore],
+  ignoreNames: [...(configOptions.ignoreNames || []), ...values['ignore-name']],
+  nonProduction: [
+    ...(configOptions.nonProduction || []),
+    ...values['non-production']
+  ],
+  constants: {
+    ...configOptions.constants,
+    ...Object.fromEntries(
+      values.constant.map((definition) => {
+        const [name, ...value] = definition.split('=');
+        return [name, parseConstant(value.join('='))];
+      })
+    )
+  },
+  format: values.format,
+  output: values.output,
+  graph: values.graph,
+  baseline: values.baseline,
+  updateBaseline: values['update-baseline'],
+  changedSince: values['changed-since'],
+  age: values.age,
+  cache: values.cache || values['cache-location'] !== undefined,
+  cacheLocation: values['cache-location'],
+  watch: values.watch
+};
+
+if (options.format && !formats.includes(options.format)) {
+  console.error(
+    `❌ Unknown format: ${options.format} (expected one of: ${formats.join(', ')})`
+  );
+  process.exit(1);
+}
+
+if (options.watch && (options.fix || options.dryRun || options.updateBaseline)) {
+  console.error(
+    '❌ --watch only reports, it cannot be combined with --fix, --dry-run or --update-baseline'
+  );
+  process.exit(1);
+}
+
+if (options.graph && !/\.(dot|gv|mmd|md)$/.test(options.graph)) {
+  console.error('❌ --graph needs a .dot, .gv, .mmd or .md file');
+  process.exit(1);
+}
+
+if (options.updateBaseline && !options.baseline) {
+  console.error('❌ --update-baseline needs the file to write: --baseline <file>');
+  process.exit(1);
+}
+
+// A report printed to stdout must not be interleaved with progress messages
+if (options.format && !options.output) {
+  console.log = console.error;
+}
+
+if (config) {
+  console.log(`⚙️  Using ${path.relative(process.cwd(), config.configPath)}`);
+}
+
+// Plugin modules export a plugin or a list of them, a JavaScript config may
+// hold plugins themselves
+const configPlugins = configOptions.plugins || [];
+const pluginModules = await Promise.all(
+  [
+    ...configPlugins.filter((plugin) => typeof plugin === 'string'),
+    ...values.plugin.map((modulePath) => path.resolve(modulePath))
+  ].map((modulePath) => import(pathToFileURL(modulePath).href))
+).catch((error) => {
+  console.error('❌ Could not load plugin:', error);
+  process.exit(1);
+});
+options.plugins = [
+  ...configPlugins.filter((plugin) => typeof plugin !== 'string'),
+  ...pluginModules.flatMap((pluginModule) => pluginModule.default)
+];
+
+findUnusedCode(projectPath, tsConfigPath, options).then(
+  ({ unused, newFindings }) => {
+    // Dead code that is not in the baseline fails the build, and so do
+    // findings of rules set to error
+    if (
+      (newFindings && newFindings.length > 0) ||
+      unused.some((item) => item.severity === 'error')
+    ) {
+      process.exitCode = 1;
+    }
+  },
+  (error) => {
+    console.error('\n❌ Error analyzing code:', error);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,204 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import { matchesGlob } from './globs.js';
+
+// Project configuration, read from the first of these in the project
+// directory or from the `deadcode` key of its package.json:
+//
+//   {
+//     "tsconfig": "tsconfig.app.json",
+//     // Findings are only reported in files matching include (default: all)
+//     // and not matching exclude, the whole program is analyzed either way
+//     "include": ["src/**"],
+//     "exclude": ["src/generated/**"],
+//     "entries": ["src/main.ts"],
+//     "ignoreNames": ["use*"],
+//     "nonProduction": ["e2e/**"],
+//     "constants": { "process.env.NODE_ENV": "production" },
+//     // Module paths, or plugin objects in deadcode.config.js
+//     "plugins": ["./deadcode-plugins/lambda.js"],
+//     // off, warn or error per finding type, `exported` covers every exported
+//     // finding; errors fail the run
+//     "rules": { "type": "off", "exported": "warn", "file": "error" },
+//     // Rules for some directories, later overrides win
+//     "overrides": [{ "files": ["src/legacy/**"], "rules": { "file": "warn" } }]
+//   }
+//
+// Paths and globs are relative to the directory of the configuration.
+const configFiles = [
+  'deadcode.config.json',
+  'deadcode.config.js',
+  'deadcode.config.mjs'
+];
+const packageJsonKey = 'deadcode';
+
+const severities = ['off', 'warn', 'error'];
+const defaultSeverity = 'warn';
+
+// Finding types, and `exported`
+const ruleNames = [
+  'function',
+  'class',
+  'type',
+  'interface',
+  'enum',
+  'namespace',
+  'constant',
+  'variable',
+  'property',
+  'method',
+  'accessor',
+  'enumMember',
+  'parameter',
+  'import',
+  'file',
+  'dependency',
+  'unlistedDependency',
+  'unreachable',
+  'test-only',
+  'typeOnly',
+  'typeImport',
+  'leakedType',
+  'exported'
+];
+
+const configKeys = [
+  'tsconfig',
+  'include',
+  'exclude',
+  'entries',
+  'ignoreNames',
+  'nonProduction',
+  'constants',
+  'plugins',
+  'rules',
+  'overrides'
+];
+
+// The configuration at configPath, or the one found in the project. Returns
+// undefined when there is none.
+async function loadConfig(projectPath, configPath) {
+  const found = configPath ? path.resolve(configPath) : findConfig(projectPath);
+  if (!found) return undefined;
+
+  const config = await readConfig(found);
+  validateConfig(config, found);
+  return { configPath: found, config };
+}
+
+function findConfig(projectPath) {
+  const dir = path.resolve(projectPath);
+  const configFile = configFiles
+    .map((file) => path.join(dir, file))
+    .find((file) => fs.existsSync(file));
+  if (configFile) return configFile;
+
+  const packageJsonPath = path.join(dir, 'package.json');
+  if (!fs.existsSync(packageJsonPath)) return undefined;
+  const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  return packageJson[packageJsonKey] ? packageJsonPath : undefined;
+}
+
+async function readConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file does not exist: ${configPath}`);
+  }
+  if (/\.[cm]?js$/.test(configPath)) {
+    const configModule = await import(pathToFileURL(configPath).href);
+    return configModule.default;
+  }
+
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${configPath}: ${error.message}`);
+  }
+  return path.basename(configPath) === 'package.json' ? json[packageJsonKey] : json;
+}
+
+function validateConfig(config, configPath) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${configPath} must hold an object`);
+  }
+
+  Object.keys(config).forEach((key) => {
+    if (!configKeys.includes(key)) {
+      throw new Error(
+        `Unknown option "${key}" in ${configPath}, expected one of: ${configKeys.join(', ')}`
+      );
+    }
+  });
+  validateRules(config.rules, configPath);
+  (config.overrides || []).forEach((override, index) => {
+    if (!Array.isArray(override.files)) {
+      throw new Error(`overrides[${index}] in ${configPath} needs a files list`);
+    }
+    validateRules(override.rules, configPath);
+  });
+}
+
+function validateRules(rules = {}, configPath) {
+  Object.entries(rules).forEach(([name, severity]) => {
+    if (!ruleNames.includes(name)) {
+      throw new Error(
+        `Unknown rule "${name}" in ${configPath}, expected one of: ${ruleNames.join(', ')}`
+      );
+    }
+    if (!severities.includes(severity)) {
+      throw new Error(
+        `Invalid severity "${severity}" for rule "${name}" in ${configPath}, expected one of: ${severities.join(', ')}`
+      );
+    }
+  });
+}
+
+// The analysis options the configuration stands for, with paths resolved
+// against its directory
+function getConfigOptions({ configPath, config }) {
+  const dir = path.dirname(configPath);
+  const resolve = (patterns = []) =>
+    patterns.map((pattern) => path.resolve(dir, pattern).replace(/\\/g, '/'));
+
+  return {
+    tsConfigPath: config.tsconfig && path.resolve(dir, config.tsconfig),
+    includeFiles: resolve(config.include),
+    ignoreFiles: resolve(config.exclude),
+    entryPoints: resolve(config.entries),
+    ignoreNames: config.ignoreNames || [],
+    nonProduction: resolve(config.nonProduction),
+    constants: config.constants || {},
+    plugins: (config.plugins || []).map((plugin) =>
+      typeof plugin === 'string' ? path.resolve(dir, plugin) : plugin
+    ),
+    rules: config.rules || {},
+    overrides: (config.overrides || []).map((override) => ({
+      files: resolve(override.files),
+      rules: override.rules || {}
+    }))
+  };
+}
+
+// The severity of a finding is the more lenient of its type's rule and, for
+// exported findings, the `exported` rule. Findings turned off are dropped.
+function applySeverities(items, { rules = {}, overrides = [] } = {}) {
+  return items.flatMap((item) => {
+    const fileRules = overrides
+      .filter((override) => matchesGlob(item.file, override.files))
+      .reduce((merged, override) => ({ ...merged, ...override.rules }), rules);
+
+    const configured = [item.type, ...(item.exported ? ['exported'] : [])]
+      .map((name) => fileRules[name])
+      .filter(Boolean);
+    const severity =
+      configured.length > 0
+        ? severities[Math.min(...configured.map((name) => severities.indexOf(name)))]
+        : defaultSeverity;
+
+    return severity === 'off' ? [] : [{ ...item, severity }];
+  });
+}
+
+export { applySeverities, getConfigOptions, loadConfig };
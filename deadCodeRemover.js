@@ -0,0 +1,721 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline/promises';
+
+import ts from 'typescript';
+
+import { isRequireCall } from './moduleGraph.js';
+import { createUnifiedDiff } from './unifiedDiff.js';
+
+class DeadCodeRemover {
+  constructor(detector) {
+    this.detector = detector;
+    this.checker = detector.checker;
+    this.edits = new Map(); // Text ranges to delete, per file
+    this.removedListElements = new Map(); // Declarators, members and specifiers, per list owner
+    this.removedImports = new Set(); // Import names reported as unused
+    this.skipped = [];
+  }
+
+  async removeAll(unused, unneededExports, options = {}) {
+    const removals = [
+      ...unused.map((item) => ({ item, action: 'delete' })),
+      ...unneededExports.map((item) => ({ item, action: 'unexport' }))
+    ];
+
+    const accepted = options.interactive ? await this.confirm(removals) : removals;
+
+    const planned = new Set();
+    const plan = ({ item, action }) => {
+      const skippedBefore = this.skipped.length;
+      try {
+        if (action === 'delete') {
+          this.planDeletion(item);
+        } else {
+          this.planUnexport(item);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not plan removal of ${item.name}:`, error);
+        return;
+      }
+      if (this.skipped.length === skippedBefore) planned.add(getItemKey(item));
+    };
+
+    // Code only used by other dead code can go once everything keeping it
+    // alive goes as well, which for cycles is decided for the whole group
+    const isTransitive = ({ item, action }) =>
+      action === 'delete' && item.keptAliveBy;
+    accepted.filter((removal) => !isTransitive(removal)).forEach(plan);
+
+    let candidates = accepted.filter(isTransitive);
+    let changed = true;
+    while (changed) {
+      const keys = new Set(candidates.map(({ item }) => getItemKey(item)));
+      const removable = candidates.filter(({ item }) =>
+        item.keptAliveBy.every(
+          (keeper) => planned.has(getItemKey(keeper)) || keys.has(getItemKey(keeper))
+        )
+      );
+      changed = removable.length !== candidates.length;
+      candidates
+        .filter((removal) => !removable.includes(removal))
+        .forEach(({ item }) =>
+          this.skip(item, 'still used by code that is not removed')
+        );
+      candidates = removable;
+    }
+    candidates.forEach(plan);
+
+    this.flushListElements();
+    this.removeOrphanedImports();
+
+    const changes = this.applyEdits();
+    this.report(changes, accepted.length, options);
+    return changes;
+  }
+
+  // The changes removing a single item, or why it is kept, for editors that
+  // apply the changes themselves
+  planChanges(item, action) {
+    if (action === 'delete') {
+      this.planDeletion(item);
+    } else {
+      this.planUnexport(item);
+    }
+    if (this.skipped.length > 0) {
+      return { changes: [], skippedBecause: this.skipped[0].reason };
+    }
+
+    this.flushListElements();
+    this.removeOrphanedImports();
+    return { changes: this.applyEdits() };
+  }
+
+  async confirm(removals) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout
+    });
+    const accepted = [];
+
+    try {
+      for (const [index, removal] of removals.entries()) {
+        const { item, action } = removal;
+        const location = `${path.relative(process.cwd(), item.file)}:${item.line}`;
+        const question =
+          action === 'delete'
+            ? `🗑️  Remove ${item.type} ${item.name} (${location})?`
+            : `✂️  Drop export of ${item.type} ${item.name} (${location})?`;
+
+        const answer = (await rl.question(`${question} [y/N/a/q] `))
+          .trim()
+          .toLowerCase();
+
+        if (answer === 'q') break;
+        if (answer === 'a') {
+          accepted.push(...removals.slice(index));
+          break;
+        }
+        if (answer === 'y' || answer === 'yes') accepted.push(removal);
+      }
+    } finally {
+      rl.close();
+    }
+
+    return accepted;
+  }
+
+  planDeletion(item) {
+    if (item.type === 'file') return this.skip(item, 'whole files are not deleted');
+    // Emptying the file one declaration at a time would delete it all the same
+    if (this.detector.unreachableFiles.has(item.file)) {
+      return this.skip(item, 'its file is unreachable and left for review');
+    }
+    if (item.type === 'dependency' || item.type === 'unlistedDependency') {
+      return this.skip(item, 'package.json is left to the package manager');
+    }
+    if (item.type === 'test-only') {
+      return this.skip(item, 'still used by tests and stories');
+    }
+    if (item.type === 'import') return this.planImportRemoval(item);
+    if (item.type === 'parameter') {
+      return this.skip(item, 'callers would have to change as well');
+    }
+    if (item.type === 'unreachable') {
+      return this.skip(item, 'unreachable code is left for review');
+    }
+    if (['typeOnly', 'typeImport', 'leakedType'].includes(item.type)) {
+      return this.skip(item, 'it is used, only how it is declared would change');
+    }
+
+    const entry = this.findDeclaration(item);
+    if (!entry) return this.skip(item, 'declaration not found');
+
+    const [symbol, declaration] = entry;
+    const sourceFile = declaration.node.getSourceFile();
+
+    // The exports object or assignment would keep referencing it
+    if (item.exported && sourceFile.commonJsModuleIndicator) {
+      return this.skip(item, 'CommonJS exports are not rewritten');
+    }
+
+    if (ts.isVariableDeclaration(declaration.node)) {
+      const statement = declaration.node.parent.parent;
+      if (!ts.isVariableStatement(statement)) {
+        return this.skip(item, 'not declared in a variable statement');
+      }
+      if (this.hasSideEffects(declaration.node.initializer)) {
+        return this.skip(item, 'initializer may have side effects');
+      }
+
+      this.removeListElement(statement, declaration.node);
+    } else if (ts.isBindingElement(declaration.node)) {
+      const pattern = declaration.node.parent;
+      if (!ts.isObjectBindingPattern(pattern)) {
+        return this.skip(item, 'array elements after it would shift');
+      }
+      if (!ts.isVariableDeclaration(pattern.parent)) {
+        return this.skip(item, 'nested destructuring is not rewritten');
+      }
+      if (this.hasSideEffects(declaration.node.initializer)) {
+        return this.skip(item, 'default value may have side effects');
+      }
+
+      this.removeListElement(pattern, declaration.node);
+    } else if (ts.isEnumMember(declaration.node)) {
+      this.removeListElement(declaration.node.parent, declaration.node);
+    } else if (ts.isParameter(declaration.node)) {
+      return this.skip(item, 'parameter properties are not removed');
+    } else {
+      if (declaration.nodes.some((node) => node.getSourceFile() !== sourceFile)) {
+        return this.skip(item, 'merged with declarations in other files');
+      }
+
+      // Overloads, accessor pairs and merged declarations all go together
+      const nodes = (symbol.declarations || []).filter(
+        (node) =>
+          node.getSourceFile() === sourceFile &&
+          (ts.isStatement(node) || ts.isClassElement(node) || ts.isTypeElement(node))
+      );
+      if (nodes.some((node) => this.hasDecorators(node))) {
+        return this.skip(item, 'decorators may have side effects');
+      }
+      if (
+        nodes.some(
+          (node) =>
+            ts.isPropertyDeclaration(node) && this.hasSideEffects(node.initializer)
+        )
+      ) {
+        return this.skip(item, 'initializer may have side effects');
+      }
+
+      nodes.forEach((node) =>
+        this.addEdit(sourceFile, this.getStatementRange(sourceFile, node))
+      );
+    }
+
+    this.removeExportReferences(symbol, sourceFile);
+    this.removeReExports(symbol);
+  }
+
+  planImportRemoval(item) {
+    const binding = this.detector.importBindings.find(
+      (candidate) =>
+        candidate.name === item.name &&
+        candidate.file === item.file &&
+        this.detector.createFinding(candidate, {}).line === item.line
+    );
+    if (!binding) return this.skip(item, 'import not found');
+
+    // const x = require('./x') and const { a } = require('./x')
+    const declaration = ts.findAncestor(binding.node, ts.isVariableDeclaration);
+    if (declaration) {
+      const statement = declaration.parent.parent;
+      if (!ts.isVariableStatement(statement) || !ts.isSourceFile(statement.parent)) {
+        return this.skip(item, 'require bindings are only removed at the top level');
+      }
+      if (
+        binding.node !== declaration.name &&
+        binding.node.parent.parent !== declaration.name
+      ) {
+        return this.skip(item, 'nested destructuring is not rewritten');
+      }
+    }
+
+    this.removedImports.add(binding.node);
+    // Make sure the file gets visited when cleaning up imports
+    if (!this.edits.has(item.file)) this.edits.set(item.file, []);
+  }
+
+  planUnexport(item) {
+    if (this.detector.unreachableFiles.has(item.file)) {
+      return this.skip(item, 'its file is unreachable and left for review');
+    }
+    const entry = this.findDeclaration(item);
+    if (!entry) return this.skip(item, 'declaration not found');
+
+    const [symbol, declaration] = entry;
+    const sourceFile = declaration.node.getSourceFile();
+    const target = ts.isVariableDeclaration(declaration.node)
+      ? declaration.node.parent.parent
+      : declaration.node;
+
+    const modifiers = ts.canHaveModifiers(target)
+      ? ts.getModifiers(target) || []
+      : [];
+    const exportModifier = modifiers.find(
+      (modifier) => modifier.kind === ts.SyntaxKind.ExportKeyword
+    );
+
+    this.removeReExports(symbol);
+
+    if (!exportModifier) {
+      this.removeExportReferences(symbol, sourceFile);
+      return;
+    }
+
+    if (
+      ts.isVariableStatement(target) &&
+      target.declarationList.declarations.length > 1
+    ) {
+      return this.skip(item, 'statement exports several variables');
+    }
+
+    // Drop `export` (and `default`) together with the whitespace after them
+    const defaultModifier = modifiers.find(
+      (modifier) => modifier.kind === ts.SyntaxKind.DefaultKeyword
+    );
+    const lastModifier = defaultModifier || exportModifier;
+    let end = lastModifier.getEnd();
+    while (/\s/.test(sourceFile.text[end])) end++;
+
+    this.addEdit(sourceFile, { start: exportModifier.getStart(sourceFile), end });
+  }
+
+  // Removes `export { name }` specifiers and `export default name` statements
+  // in the declaring file that point at the given symbol
+  removeExportReferences(symbol, sourceFile) {
+    sourceFile.statements.forEach((statement) => {
+      if (
+        ts.isExportAssignment(statement) &&
+        ts.isIdentifier(statement.expression) &&
+        this.detector.getSymbol(statement.expression) === symbol
+      ) {
+        this.addEdit(sourceFile, this.getStatementRange(sourceFile, statement));
+      }
+
+      if (
+        ts.isExportDeclaration(statement) &&
+        !statement.moduleSpecifier &&
+        statement.exportClause &&
+        ts.isNamedExports(statement.exportClause)
+      ) {
+        statement.exportClause.elements.forEach((element) => {
+          if (
+            this.detector.getSymbol(element.propertyName || element.name) === symbol
+          ) {
+            this.removeListElement(statement, element);
+          }
+        });
+      }
+    });
+  }
+
+  // Named re-exports in barrels would break once the symbol is gone, while
+  // `export *` simply stops exposing it
+  removeReExports(symbol) {
+    (this.detector.reExports.get(symbol) || []).forEach(({ node }) => {
+      if (ts.isExportSpecifier(node)) {
+        this.removeListElement(node.parent.parent, node);
+      }
+    });
+  }
+
+  removeListElement(owner, element) {
+    if (!this.removedListElements.has(owner)) {
+      this.removedListElements.set(owner, new Set());
+    }
+    this.removedListElements.get(owner).add(element);
+  }
+
+  // Elements of the same list are removed together so their commas line up
+  flushListElements() {
+    // A destructuring left without names goes as a whole, or leaves just its
+    // initializer when that may have side effects
+    this.removedListElements.forEach((removed, pattern) => {
+      if (
+        !ts.isObjectBindingPattern(pattern) ||
+        removed.size < pattern.elements.length
+      ) {
+        return;
+      }
+
+      const declaration = pattern.parent;
+      const statement = declaration.parent.parent;
+      if (!this.hasSideEffects(declaration.initializer)) {
+        this.removedListElements.delete(pattern);
+        this.removeListElement(statement, declaration);
+      } else if (statement.declarationList.declarations.length === 1) {
+        this.removedListElements.delete(pattern);
+        this.addEdit(declaration.getSourceFile(), {
+          start: statement.getStart(),
+          end: declaration.initializer.getStart()
+        });
+      }
+    });
+
+    this.removedListElements.forEach((removed, owner) => {
+      const sourceFile = owner.getSourceFile();
+      this.removeListElements(
+        sourceFile,
+        owner,
+        this.getListElements(owner),
+        removed
+      );
+    });
+  }
+
+  getListElements(owner) {
+    if (ts.isVariableStatement(owner)) return owner.declarationList.declarations;
+    if (ts.isExportDeclaration(owner)) return owner.exportClause.elements;
+    if (ts.isObjectBindingPattern(owner)) return owner.elements;
+    return owner.members;
+  }
+
+  // Imports whose every reference sat inside removed code are now orphaned,
+  // unused imports are removed the same way
+  removeOrphanedImports() {
+    this.edits.forEach((edits, fileName) => {
+      const sourceFile = this.detector.program.getSourceFile(fileName);
+      const references = this.collectAliasReferences(sourceFile);
+      const isRemoved = (node) =>
+        edits.some(
+          (edit) =>
+            node.getStart(sourceFile) >= edit.start && node.getEnd() <= edit.end
+        );
+      const isOrphaned = (nameNode) => {
+        if (this.removedImports.has(nameNode)) return true;
+        const refs =
+          references.get(this.checker.getSymbolAtLocation(nameNode)) || [];
+        return refs.length > 0 && refs.every(isRemoved);
+      };
+
+      sourceFile.statements.forEach((statement) => {
+        if (ts.isVariableStatement(statement) && !isRemoved(statement)) {
+          this.removeOrphanedRequires(sourceFile, statement, isOrphaned);
+          return;
+        }
+        if (!ts.isImportDeclaration(statement) || !statement.importClause) return;
+        if (isRemoved(statement)) return;
+
+        const { name, namedBindings } = statement.importClause;
+        const defaultOrphaned = Boolean(name) && isOrphaned(name);
+        let namedKept = false;
+        let namedOrphaned = new Set();
+
+        if (namedBindings && ts.isNamespaceImport(namedBindings)) {
+          if (isOrphaned(namedBindings.name)) namedOrphaned.add(namedBindings);
+          else namedKept = true;
+        } else if (namedBindings) {
+          namedOrphaned = new Set(
+            namedBindings.elements.filter((element) => isOrphaned(element.name))
+          );
+          namedKept = namedOrphaned.size < namedBindings.elements.length;
+        }
+
+        if (!defaultOrphaned && namedOrphaned.size === 0) return;
+
+        if (!namedKept && (!name || defaultOrphaned)) {
+          this.addEdit(sourceFile, this.getStatementRange(sourceFile, statement));
+        } else if (!namedKept) {
+          // import Default, { orphaned } from '...'
+          this.addEdit(sourceFile, {
+            start: name.getEnd(),
+            end: namedBindings.getEnd()
+          });
+        } else {
+          if (defaultOrphaned) {
+            this.addEdit(sourceFile, {
+              start: name.getStart(sourceFile),
+              end: namedBindings.getStart(sourceFile)
+            });
+          }
+          if (ts.isNamedImports(namedBindings)) {
+            this.removeListElements(
+              sourceFile,
+              statement,
+              namedBindings.elements,
+              namedOrphaned
+            );
+          }
+        }
+      });
+    });
+  }
+
+  // Requires go like imports: the declarator once none of its names is left,
+  // otherwise the orphaned names of its destructuring
+  removeOrphanedRequires(sourceFile, statement, isOrphaned) {
+    const { declarations } = statement.declarationList;
+    const orphaned = new Set();
+
+    declarations
+      .filter(({ initializer }) => initializer && isRequireCall(initializer))
+      .forEach((declaration) => {
+        if (ts.isIdentifier(declaration.name)) {
+          if (isOrphaned(declaration.name)) orphaned.add(declaration);
+          return;
+        }
+        if (!ts.isObjectBindingPattern(declaration.name)) return;
+
+        const { elements } = declaration.name;
+        const orphanedElements = new Set(
+          elements.filter(
+            (element) => ts.isIdentifier(element.name) && isOrphaned(element.name)
+          )
+        );
+        if (orphanedElements.size === elements.length) {
+          orphaned.add(declaration);
+        } else {
+          this.removeListElements(
+            sourceFile,
+            declaration.name,
+            elements,
+            orphanedElements
+          );
+        }
+      });
+
+    this.removeListElements(sourceFile, statement, declarations, orphaned);
+  }
+
+  collectAliasReferences(sourceFile) {
+    const references = new Map();
+
+    const visit = (node) => {
+      if (ts.isImportDeclaration(node)) return;
+      // The names a require declares are no references to them
+      if (
+        ts.isVariableDeclaration(node) &&
+        node.initializer &&
+        isRequireCall(node.initializer)
+      ) {
+        return;
+      }
+
+      if (ts.isIdentifier(node)) {
+        const symbol =
+          node.parent &&
+          ts.isShorthandPropertyAssignment(node.parent) &&
+          node.parent.name === node
+            ? this.checker.getShorthandAssignmentValueSymbol(node.parent)
+            : this.checker.getSymbolAtLocation(node);
+
+        if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+          if (!references.has(symbol)) references.set(symbol, []);
+          references.get(symbol).push(node);
+        }
+      }
+
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    return references;
+  }
+
+  // Removes some elements of a comma separated list, or the whole statement
+  // holding the list when nothing would be left in it
+  removeListElements(sourceFile, statement, elements, removed) {
+    if (removed.size === 0) return;
+
+    const kept = elements.filter((element) => !removed.has(element));
+    if (kept.length === 0) {
+      this.addEdit(sourceFile, this.getStatementRange(sourceFile, statement));
+      return;
+    }
+
+    const lastKept = elements.indexOf(kept[kept.length - 1]);
+    elements.forEach((element, index) => {
+      if (removed.has(element) && index < lastKept) {
+        this.addEdit(sourceFile, {
+          start: element.getStart(sourceFile),
+          end: elements[index + 1].getStart(sourceFile)
+        });
+      }
+    });
+
+    // Everything after the last kept element goes in one range, so its
+    // preceding comma goes with it
+    if (lastKept < elements.length - 1) {
+      this.addEdit(sourceFile, {
+        start: elements[lastKept].getEnd(),
+        end: elements[elements.length - 1].getEnd()
+      });
+    }
+  }
+
+  // Range of a whole statement including its JSDoc, trailing comment and line
+  // break, so that surrounding code and comments are left untouched
+  getStatementRange(sourceFile, node) {
+    const { text } = sourceFile;
+    let start = node.getStart(sourceFile, true);
+    let end = node.getEnd();
+
+    (ts.getTrailingCommentRanges(text, end) || []).forEach((comment) => {
+      end = comment.end;
+    });
+
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const restOfLine = /[ \t]*(\r?\n|$)/y;
+    restOfLine.lastIndex = end;
+    const lineBreak = restOfLine.exec(text);
+
+    if (/^[ \t]*$/.test(text.slice(lineStart, start)) && lineBreak) {
+      start = lineStart;
+      end += lineBreak[0].length;
+
+      // Avoid leaving two blank lines where the statement used to be
+      const prevLineStart = text.lastIndexOf('\n', lineStart - 2) + 1;
+      const blankBefore =
+        lineStart === 0 ||
+        /^[ \t]*\r?\n$/.test(text.slice(prevLineStart, lineStart));
+      const blankLine = /[ \t]*\r?\n/y;
+      blankLine.lastIndex = end;
+      const blankAfter = blankLine.exec(text);
+      if (blankBefore && blankAfter) end += blankAfter[0].length;
+      if (blankBefore && end === text.length && lineStart > 0) start = prevLineStart;
+    }
+
+    return { start, end };
+  }
+
+  addEdit(sourceFile, range) {
+    if (!this.edits.has(sourceFile.fileName)) {
+      this.edits.set(sourceFile.fileName, []);
+    }
+    this.edits.get(sourceFile.fileName).push(range);
+  }
+
+  applyEdits() {
+    const changes = [];
+
+    this.edits.forEach((edits, fileName) => {
+      const before = this.detector.program.getSourceFile(fileName).text;
+
+      // Nested or overlapping ranges are covered by the outermost one
+      const sorted = [...edits].sort((a, b) => a.start - b.start || b.end - a.end);
+      const merged = [];
+      sorted.forEach((edit) => {
+        const last = merged[merged.length - 1];
+        if (!last || edit.start >= last.end) merged.push(edit);
+      });
+
+      let after = before;
+      for (let i = merged.length - 1; i >= 0; i--) {
+        after = after.slice(0, merged[i].start) + after.slice(merged[i].end);
+      }
+
+      if (after !== before) changes.push({ file: fileName, before, after });
+    });
+
+    return changes;
+  }
+
+  report(changes, acceptedCount, options) {
+    this.skipped.forEach(({ item, reason }) => {
+      const relativePath = path.relative(process.cwd(), item.file);
+      console.log(
+        `⏭️  Kept ${item.name} - ${relativePath}:${item.line} (${reason})`
+      );
+    });
+
+    const appliedCount = acceptedCount - this.skipped.length;
+
+    if (options.dryRun) {
+      changes.forEach(({ file, before, after }) => {
+        process.stdout.write(
+          createUnifiedDiff(path.relative(process.cwd(), file), before, after)
+        );
+      });
+      console.log(
+        `\n🧹 Dry run: would clean up ${appliedCount} items in ${changes.length} files`
+      );
+      return;
+    }
+
+    changes.forEach(({ file, after }) => fs.writeFileSync(file, after));
+    console.log(`\n🧹 Cleaned up ${appliedCount} items in ${changes.length} files`);
+  }
+
+  findDeclaration(item) {
+    for (const [symbol, declaration] of this.detector.declarations) {
+      if (declaration.name !== item.name || declaration.file !== item.file) continue;
+
+      const finding = this.detector.createFinding(declaration, {});
+      if (finding.line === item.line) return [symbol, declaration];
+    }
+    return undefined;
+  }
+
+  hasSideEffects(node) {
+    if (!node) return false;
+
+    // Function bodies only run when called
+    if (ts.isFunctionLike(node)) return false;
+
+    if (
+      ts.isCallExpression(node) ||
+      ts.isNewExpression(node) ||
+      ts.isAwaitExpression(node) ||
+      ts.isYieldExpression(node) ||
+      ts.isTaggedTemplateExpression(node) ||
+      ts.isDeleteExpression(node)
+    ) {
+      return true;
+    }
+
+    if (
+      ts.isBinaryExpression(node) &&
+      node.operatorToken.kind >= ts.SyntaxKind.FirstAssignment &&
+      node.operatorToken.kind <= ts.SyntaxKind.LastAssignment
+    ) {
+      return true;
+    }
+
+    if (
+      (ts.isPrefixUnaryExpression(node) || ts.isPostfixUnaryExpression(node)) &&
+      (node.operator === ts.SyntaxKind.PlusPlusToken ||
+        node.operator === ts.SyntaxKind.MinusMinusToken)
+    ) {
+      return true;
+    }
+
+    return Boolean(ts.forEachChild(node, (child) => this.hasSideEffects(child)));
+  }
+
+  hasDecorators(node) {
+    return ts.canHaveDecorators(node) && (ts.getDecorators(node) || []).length > 0;
+  }
+
+  skip(item, reason) {
+    this.skipped.push({ item, reason });
+  }
+}
+
+function getItemKey({ type, file, line, name }) {
+  return `${type}:${file}:${line}:${name}`;
+}
+
+async function removeDeadCode(detector, unused, options = {}) {
+  const remover = new DeadCodeRemover(detector);
+  const unneededExports = detector.findUnneededExports();
+
+  console.log(
+    `\n🧹 Preparing removal of ${unused.length} unused items and ${unneededExports.length} unneeded exports...`
+  );
+
+  return remover.removeAll(unused, unneededExports, options);
+}
+
+export { DeadCodeRemover, removeDeadCode };
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import { builtinModules } from 'module';
+import path from 'path';
+
+const dependencyFields = ['dependencies', 'devDependencies'];
+const declarationFields = [
+  ...dependencyFields,
+  'peerDependencies',
+  'optionalDependencies'
+];
+
+// Compares the packages listed in package.json with the ones the source
+// files import. Tooling that is only run from `scripts` counts as used, and so
+// do the packages of frameworks that load them by themselves.
+function findDependencyIssues(
+  packageJsonPath,
+  externalImports,
+  compilerOptions = {},
+  logger = console,
+  isFrameworkPackage = () => false
+) {
+  let packageJson;
+  let packageJsonText;
+  try {
+    packageJsonText = fs.readFileSync(packageJsonPath, 'utf8');
+    packageJson = JSON.parse(packageJsonText);
+  } catch (error) {
+    logger.warn(`⚠️ Could not read ${packageJsonPath}:`, error.message);
+    return [];
+  }
+
+  const packageDir = path.dirname(packageJsonPath);
+  const scriptWords = new Set(
+    Object.values(packageJson.scripts || {})
+      .join(' ')
+      .split(/[\s;&|()'"=]+/)
+  );
+  const implicitlyUsed = new Set(['typescript']);
+  if (compilerOptions.importHelpers) implicitlyUsed.add('tslib');
+
+  const issues = [];
+
+  dependencyFields.forEach((field) => {
+    Object.keys(packageJson[field] || {}).forEach((name) => {
+      if (externalImports.has(name) || implicitlyUsed.has(name)) return;
+      if (isFrameworkPackage(name)) return;
+      // Type packages are picked up by the compiler without an import
+      if (name.startsWith('@types/')) return;
+      if (getBinaryNames(packageDir, name).some((bin) => scriptWords.has(bin)))
+        return;
+
+      issues.push({
+        name,
+        type: 'dependency',
+        file: packageJsonPath,
+        line: findLine(packageJsonText, `"${name}"`),
+        exported: false,
+        reason: `Listed in ${field} but never imported`
+      });
+    });
+  });
+
+  const declared = new Set([
+    packageJson.name,
+    ...declarationFields.flatMap((field) => Object.keys(packageJson[field] || {}))
+  ]);
+
+  externalImports.forEach((specifiers, name) => {
+    if (declared.has(name) || isBuiltinModule(name)) return;
+
+    const [first] = specifiers;
+    const sourceFile = first.getSourceFile();
+    const { line } = sourceFile.getLineAndCharacterOfPosition(first.getStart());
+
+    issues.push({
+      name,
+      type: 'unlistedDependency',
+      file: sourceFile.fileName,
+      line: line + 1,
+      exported: false,
+      reason: 'Imported but not listed in package.json',
+      importedBy: Array.from(
+        new Set(specifiers.map((specifier) => specifier.getSourceFile().fileName))
+      )
+    });
+  });
+
+  return issues;
+}
+
+function isBuiltinModule(name) {
+  return builtinModules.includes(name) || builtinModules.includes(`node:${name}`);
+}
+
+// The commands a package installs, so `"lint": "eslint ."` counts as a use
+function getBinaryNames(packageDir, name) {
+  const names = [name, name.split('/').pop()];
+
+  try {
+    const installed = JSON.parse(
+      fs.readFileSync(
+        path.join(packageDir, 'node_modules', name, 'package.json'),
+        'utf8'
+      )
+    );
+    if (typeof installed.bin === 'object' && installed.bin) {
+      names.push(...Object.keys(installed.bin));
+    }
+  } catch {
+    // Not installed, the package name is all we have
+  }
+
+  return names;
+}
+
+function findLine(text, needle) {
+  const index = text.indexOf(needle);
+  return index === -1 ? 1 : text.slice(0, index).split('\n').length;
+}
+
+export { findDependencyIssues };
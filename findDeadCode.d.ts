@@ -0,0 +1,175 @@
+import { EventEmitter } from 'events';
+
+export interface Logger {
+  log(...args: unknown[]): void;
+  warn(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+export interface ProgressEvent {
+  phase: number;
+  total: number;
+  title: string;
+}
+
+export interface PluginDeclaration {
+  name: string;
+  type: string;
+  file: string;
+  exportName?: string;
+  decorators: string[];
+  node: unknown;
+}
+
+// Conventions of a framework, see plugins.js
+export interface Plugin {
+  name: string;
+  dependencies?: string[];
+  entries?: string[];
+  nonProduction?: string[];
+  usedExports?: { files?: string[]; names: string[] }[];
+  decorators?: string[];
+  builtins?: string[];
+  members?: string[];
+  isUsed?: (declaration: PluginDeclaration) => boolean;
+}
+
+// Severity of the findings a rule covers, see config.js
+export type Severity = 'off' | 'warn' | 'error';
+
+// Rules by finding type, and `exported` for every exported finding
+export type Rules = Record<string, Severity>;
+
+export interface AnalyzeOptions {
+  // Defaults to the current directory
+  projectPath?: string;
+  // Found by walking up from projectPath when omitted
+  tsConfigPath?: string;
+  // File contents by path, used instead of what is on disk. Files that only
+  // exist here are analyzed as well.
+  files?: Record<string, string>;
+  // Silent by default, `console` prints what the command line prints
+  logger?: Logger;
+  onProgress?: (event: ProgressEvent) => void;
+  entryPoints?: string[];
+  // Findings are only reported in matching files, when given
+  includeFiles?: string[];
+  ignoreFiles?: string[];
+  ignoreNames?: string[];
+  nonProduction?: string[];
+  // Values of expressions such as process.env.NODE_ENV, branches they rule
+  // out are reported as unreachable
+  constants?: Record<string, unknown>;
+  // On top of the built-in plugins for Next.js, Angular, NestJS, Storybook
+  // and Jest
+  plugins?: Plugin[];
+  // Findings of rules set to off are dropped, the others get a severity
+  rules?: Rules;
+  // Rules for matching files, later overrides win
+  overrides?: { files: string[]; rules: Rules }[];
+  // Reuse usage facts of unchanged files, stored in cacheLocation
+  cache?: boolean;
+  cacheLocation?: string;
+  debug?: boolean;
+}
+
+export interface Location {
+  name: string;
+  type: string;
+  file: string;
+  line: number;
+  // Last line of declarations and unreachable code
+  endLine?: number;
+}
+
+export interface Finding extends Location {
+  reason: string;
+  // warn unless rules say otherwise
+  severity?: Exclude<Severity, 'off'>;
+  exported?: boolean;
+  // Workspace package, in monorepos
+  package?: string;
+  // Declaration kind of test-only, typeOnly and leakedType findings
+  kind?: string;
+  // Every declaration of overloaded functions and merged declarations
+  locations?: { file: string; line: number; endLine: number }[];
+  // Import chain of unreachable files
+  chain?: string[];
+  // Tests and stories using test-only code
+  usedBy?: string[];
+  // Dead code keeping code that is only used by dead code alive
+  keptAliveBy?: Location[];
+  // With the age option: when git history last saw a change, and the days since
+  lastModified?: string;
+  untouchedDays?: number;
+}
+
+export interface SuppressedFinding extends Finding {
+  suppressedBy: string;
+}
+
+export interface AnalysisResult {
+  projectPath: string;
+  // configPath is undefined for JavaScript projects without a config
+  projects: { name?: string; configPath?: string }[];
+  entryFiles: string[];
+  findings: Finding[];
+  suppressed: SuppressedFinding[];
+  stats: {
+    sourceFiles: number;
+    declarations: number;
+    imports: number;
+    exports: number;
+    usages: number;
+  };
+}
+
+export function analyzeProject(options?: AnalyzeOptions): AnalysisResult;
+
+export interface CliOptions extends AnalyzeOptions {
+  showReasons?: boolean;
+  includeDetails?: boolean;
+  fix?: boolean;
+  dryRun?: boolean;
+  interactive?: boolean;
+  format?: 'json' | 'sarif' | 'junit' | 'github' | 'markdown' | 'html';
+  output?: string;
+  // Import graph as Graphviz (.dot, .gv) or Mermaid (.mmd, .md)
+  graph?: string;
+  baseline?: string;
+  updateBaseline?: boolean;
+  // Git ref, only findings the changes since then touched or caused are reported
+  changedSince?: string;
+  // Adds lastModified and untouchedDays to findings from git blame
+  age?: boolean;
+  watch?: boolean;
+}
+
+// Prints to the console and writes the report like the command line does
+export function findUnusedCode(
+  projectPath: string,
+  tsConfigPath?: string,
+  options?: CliOptions
+): Promise<{ unused: Finding[]; newFindings?: Finding[] }>;
+
+// What the detector constructor reads, entry points, plugins and the like are
+// added with its methods
+export type DetectorOptions = Pick<
+  AnalyzeOptions,
+  'projectPath' | 'tsConfigPath' | 'files' | 'logger'
+>;
+
+export class UnusedCodeDetector extends EventEmitter {
+  constructor(options?: DetectorOptions);
+  // Logs to the console
+  constructor(projectPath: string, tsConfigPath?: string);
+  analyze(): Finding[];
+  addEntryPoints(patterns: string[]): void;
+  addIgnorePatterns(patterns: { files?: string[]; names?: string[] }): void;
+  addIncludePatterns(patterns: string[]): void;
+  addNonProductionPatterns(patterns: string[]): void;
+  defineConstants(constants: Record<string, unknown>): void;
+  addPlugins(plugins: Plugin[]): void;
+  enableDebug(): void;
+  on(event: 'progress', listener: (event: ProgressEvent) => void): this;
+}
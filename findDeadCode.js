@@ -1,690 +1,2950 @@
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-import ts from 'typescript';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-class UnusedCodeDetector {
-  constructor(projectPath, tsConfigPath) {
-    this.projectPath = projectPath;
-    this.declarations = new Map(); // What's declared
-    this.imports = new Map(); // What's imported from other files
-    this.usages = new Set(); // What's used within files
-    this.exports = new Map(); // What's exported
-    this.debug = false;
-
-    console.log(`🔍 Starting analysis in: ${path.resolve(projectPath)}`);
-
-    const configPath = tsConfigPath || this.findTsConfig(projectPath);
-    console.log(`📋 Using TypeScript config: ${configPath}`);
-
-    const configFile = ts.readConfigFile(configPath, ts.sys.readFile);
-    if (configFile.error) {
-      throw new Error(
-        `Error reading tsconfig.json: ${configFile.error.messageText}`
-      );
-    }
-
-    const parsedConfig = ts.parseJsonConfigFileContent(
-      configFile.config,
-      ts.sys,
-      path.dirname(configPath)
-    );
-
-    console.log(
-      `📁 Found ${parsedConfig.fileNames.length} files in TypeScript project`
-    );
-
-    this.program = ts.createProgram({
-      rootNames: parsedConfig.fileNames,
-      options: parsedConfig.options,
-      host: ts.createCompilerHost(parsedConfig.options)
-    });
-
-    this.checker = this.program.getTypeChecker();
-    this.sourceFiles = this.program
-      .getSourceFiles()
-      .filter(
-        (file) => !file.isDeclarationFile && !file.fileName.includes('node_modules')
-      );
-
-    console.log(`🔢 Analyzing ${this.sourceFiles.length} source files`);
-  }
-
-  findTsConfig(projectPath) {
-    let currentDir = path.resolve(projectPath);
-
-    while (currentDir !== path.dirname(currentDir)) {
-      const tsConfigPath = path.join(currentDir, 'tsconfig.json');
-      if (fs.existsSync(tsConfigPath)) {
-        return tsConfigPath;
-      }
-      currentDir = path.dirname(currentDir);
-    }
-
-    throw new Error(
-      `tsconfig.json not found in ${projectPath} or any parent directory`
-    );
-  }
-
-  analyze() {
-    try {
-      console.log(`\n🔍 Phase 1: Collecting declarations...`);
-      this.sourceFiles.forEach((file) => this.collectDeclarations(file));
-      console.log(`📊 Found ${this.declarations.size} declarations`);
-
-      console.log(`\n🔍 Phase 2: Tracking imports...`);
-      this.sourceFiles.forEach((file) => this.trackImports(file));
-      console.log(`📊 Found ${this.imports.size} imports`);
-
-      console.log(`\n🔍 Phase 3: Finding internal usages...`);
-      this.sourceFiles.forEach((file) => this.findUsages(file));
-      console.log(`📊 Found ${this.usages.size} internal usages`);
-
-      console.log(`\n🔍 Phase 4: Tracking exports...`);
-      this.sourceFiles.forEach((file) => this.trackExports(file));
-      console.log(`📊 Found ${this.exports.size} exports`);
-
-      console.log(`\n🔍 Phase 5: Analyzing usage patterns...`);
-      const unused = [];
-
-      this.declarations.forEach((declaration, name) => {
-        const isInternallyUsed = this.usages.has(name);
-        const isImported = this.isNameImported(name, declaration.file);
-        const isExported = this.exports.has(name);
-        const isBuiltin = this.isInBuiltinTypes(name);
-
-        if (this.debug) {
-          console.log(`\n📋 Analyzing: ${name}`);
-          console.log(`  - File: ${path.basename(declaration.file)}`);
-          console.log(`  - Type: ${declaration.type}`);
-          console.log(`  - Internally used: ${isInternallyUsed}`);
-          console.log(`  - Imported by others: ${isImported}`);
-          console.log(`  - Exported: ${isExported}`);
-          console.log(`  - Builtin: ${isBuiltin}`);
-        }
-
-        // Something is unused if:
-        // 1. It's not used internally in its own file/project
-        // 2. It's not imported by any other file (even if exported)
-        // 3. It's not a builtin type
-        // 4. Exception: If it's exported AND the file is likely an entry point, we keep it
-        const isLikelyEntryPoint = this.isLikelyEntryPoint(declaration.file);
-
-        if (!isInternallyUsed && !isImported && !isBuiltin) {
-          // Even exported items can be unused if no one imports them
-          if (!isExported || !isLikelyEntryPoint) {
-            const sourceFile = declaration.node.getSourceFile();
-            const { line } = sourceFile.getLineAndCharacterOfPosition(
-              declaration.node.getStart()
-            );
-
-            unused.push({
-              name,
-              type: declaration.type,
-              file: sourceFile.fileName,
-              line: line + 1,
-              exported: isExported,
-              reason: this.getUnusedReason(
-                isInternallyUsed,
-                isImported,
-                isExported,
-                isLikelyEntryPoint
-              )
-            });
-          }
-        }
-      });
-
-      return unused;
-    } catch (error) {
-      console.error('❌ Error during analysis:', error);
-      return [];
-    }
-  }
-
-  collectDeclarations(sourceFile) {
-    let declarationCount = 0;
-
-    const visit = (node) => {
-      try {
-        // Variables (const, let, var)
-        if (ts.isVariableStatement(node)) {
-          node.declarationList.declarations.forEach((decl) => {
-            if (decl.name && ts.isIdentifier(decl.name)) {
-              const flags = node.declarationList.flags;
-              let type = 'variable';
-              if (flags & ts.NodeFlags.Const) type = 'constant';
-
-              this.declarations.set(decl.name.text, {
-                file: sourceFile.fileName,
-                node: decl,
-                type
-              });
-              declarationCount++;
-            }
-          });
-        }
-
-        // Function declarations
-        if (ts.isFunctionDeclaration(node) && node.name) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'function'
-          });
-          declarationCount++;
-        }
-
-        // Arrow functions and function expressions
-        if (
-          ts.isVariableDeclaration(node) &&
-          node.initializer &&
-          (ts.isArrowFunction(node.initializer) ||
-            ts.isFunctionExpression(node.initializer)) &&
-          ts.isIdentifier(node.name)
-        ) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'function'
-          });
-          declarationCount++;
-        }
-
-        // Type aliases and interfaces
-        if (ts.isTypeAliasDeclaration(node)) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'type'
-          });
-          declarationCount++;
-        }
-
-        if (ts.isInterfaceDeclaration(node)) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'interface'
-          });
-          declarationCount++;
-        }
-
-        // Classes and enums
-        if (ts.isClassDeclaration(node) && node.name) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'class'
-          });
-          declarationCount++;
-        }
-
-        if (ts.isEnumDeclaration(node)) {
-          this.declarations.set(node.name.text, {
-            file: sourceFile.fileName,
-            node,
-            type: 'enum'
-          });
-          declarationCount++;
-        }
-
-        ts.forEachChild(node, visit);
-      } catch (error) {
-        console.warn(`⚠️ Error processing node in ${sourceFile.fileName}:`, error);
-      }
-    };
-
-    visit(sourceFile);
-
-    if (declarationCount > 0 && this.debug) {
-      console.log(
-        `📁 ${path.basename(sourceFile.fileName)}: ${declarationCount} declarations`
-      );
-    }
-  }
-
-  trackImports(sourceFile) {
-    const visit = (node) => {
-      // Track named imports: import { something } from './file'
-      if (ts.isImportDeclaration(node) && node.importClause) {
-        if (
-          node.importClause.namedBindings &&
-          ts.isNamedImports(node.importClause.namedBindings)
-        ) {
-          node.importClause.namedBindings.elements.forEach((element) => {
-            if (ts.isIdentifier(element.name)) {
-              this.imports.set(element.name.text, {
-                from: node.moduleSpecifier.text,
-                file: sourceFile.fileName,
-                type: 'named'
-              });
-
-              if (this.debug) {
-                console.log(
-                  `📥 Import: ${element.name.text} from ${
-                    node.moduleSpecifier.text
-                  } in ${path.basename(sourceFile.fileName)}`
-                );
-              }
-            }
-          });
-        }
-
-        // Track default imports: import Something from './file'
-        if (node.importClause.name) {
-          this.imports.set(node.importClause.name.text, {
-            from: node.moduleSpecifier.text,
-            file: sourceFile.fileName,
-            type: 'default'
-          });
-
-          if (this.debug) {
-            console.log(
-              `📥 Default import: ${node.importClause.name.text} from ${
-                node.moduleSpecifier.text
-              } in ${path.basename(sourceFile.fileName)}`
-            );
-          }
-        }
-      }
-
-      ts.forEachChild(node, visit);
-    };
-
-    visit(sourceFile);
-  }
-
-  findUsages(sourceFile) {
-    let usageCount = 0;
-
-    const visit = (node) => {
-      try {
-        // Skip declaration contexts
-        if (this.isDeclarationContext(node)) {
-          return;
-        }
-
-        // Identifier references
-        if (ts.isIdentifier(node)) {
-          this.usages.add(node.text);
-          usageCount++;
-
-          if (this.debug && usageCount < 10) {
-            console.log(
-              `🔗 Usage: ${node.text} in ${path.basename(sourceFile.fileName)}`
-            );
-          }
-        }
-
-        // Type references
-        if (ts.isTypeReferenceNode(node) && ts.isIdentifier(node.typeName)) {
-          this.usages.add(node.typeName.text);
-          usageCount++;
-        }
-
-        // JSX elements
-        if (ts.isJsxOpeningElement(node) || ts.isJsxSelfClosingElement(node)) {
-          const tagName = node.tagName;
-          if (ts.isIdentifier(tagName)) {
-            this.usages.add(tagName.text);
-            usageCount++;
-          }
-        }
-
-        // Call expressions
-        if (ts.isCallExpression(node) && ts.isIdentifier(node.expression)) {
-          this.usages.add(node.expression.text);
-          usageCount++;
-        }
-
-        ts.forEachChild(node, visit);
-      } catch (error) {
-        console.warn(`⚠️ Error processing usage in ${sourceFile.fileName}:`, error);
-      }
-    };
-
-    visit(sourceFile);
-  }
-
-  trackExports(sourceFile) {
-    const visit = (node) => {
-      // Track exported declarations
-      if (ts.canHaveModifiers(node)) {
-        const modifiers = ts.getModifiers(node);
-        if (
-          modifiers &&
-          modifiers.some((modifier) => modifier.kind === ts.SyntaxKind.ExportKeyword)
-        ) {
-          this.markAsExported(node, sourceFile);
-        }
-      }
-
-      // Track export statements
-      if (
-        ts.isExportDeclaration(node) &&
-        node.exportClause &&
-        ts.isNamedExports(node.exportClause)
-      ) {
-        node.exportClause.elements.forEach((element) => {
-          if (ts.isIdentifier(element.name)) {
-            this.exports.set(element.name.text, {
-              file: sourceFile.fileName,
-              type: 'named'
-            });
-
-            if (this.debug) {
-              console.log(
-                `📤 Export: ${element.name.text} from ${path.basename(
-                  sourceFile.fileName
-                )}`
-              );
-            }
-          }
-        });
-      }
-
-      // Track export default
-      if (
-        ts.isExportAssignment(node) &&
-        node.expression &&
-        ts.isIdentifier(node.expression)
-      ) {
-        this.exports.set(node.expression.text, {
-          file: sourceFile.fileName,
-          type: 'default'
-        });
-
-        if (this.debug) {
-          console.log(
-            `📤 Default export: ${node.expression.text} from ${path.basename(
-              sourceFile.fileName
-            )}`
-          );
-        }
-      }
-
-      ts.forEachChild(node, visit);
-    };
-
-    visit(sourceFile);
-  }
-
-  markAsExported(node, sourceFile) {
-    if (ts.isFunctionDeclaration(node) && node.name) {
-      this.exports.set(node.name.text, {
-        file: sourceFile.fileName,
-        type: 'function'
-      });
-    } else if (ts.isClassDeclaration(node) && node.name) {
-      this.exports.set(node.name.text, { file: sourceFile.fileName, type: 'class' });
-    } else if (ts.isInterfaceDeclaration(node)) {
-      this.exports.set(node.name.text, {
-        file: sourceFile.fileName,
-        type: 'interface'
-      });
-    } else if (ts.isTypeAliasDeclaration(node)) {
-      this.exports.set(node.name.text, { file: sourceFile.fileName, type: 'type' });
-    } else if (ts.isVariableStatement(node)) {
-      node.declarationList.declarations.forEach((decl) => {
-        if (decl.name && ts.isIdentifier(decl.name)) {
-          this.exports.set(decl.name.text, {
-            file: sourceFile.fileName,
-            type: 'variable'
-          });
-        }
-      });
-    }
-  }
-
-  isDeclarationContext(node) {
-    const parent = node.parent;
-    if (!parent) return false;
-
-    if (ts.isVariableDeclaration(parent) && parent.name === node) return true;
-    if (ts.isFunctionDeclaration(parent) && parent.name === node) return true;
-    if (ts.isClassDeclaration(parent) && parent.name === node) return true;
-    if (ts.isInterfaceDeclaration(parent) && parent.name === node) return true;
-    if (ts.isTypeAliasDeclaration(parent) && parent.name === node) return true;
-    if (ts.isEnumDeclaration(parent) && parent.name === node) return true;
-    if (ts.isParameter(parent) && parent.name === node) return true;
-    if (ts.isPropertyDeclaration(parent) && parent.name === node) return true;
-    if (ts.isMethodDeclaration(parent) && parent.name === node) return true;
-    if (ts.isImportSpecifier(parent) && parent.name === node) return true;
-
-    return false;
-  }
-
-  isNameImported(name, fromFile) {
-    // Check if any file imports this name from the given file
-    for (const [importedName, importInfo] of this.imports) {
-      if (importedName === name) {
-        // Check if the import is from the same file (relative paths)
-        const importFrom = importInfo.from;
-        const declaredFile = fromFile;
-
-        // Handle relative imports
-        if (importFrom.startsWith('./') || importFrom.startsWith('../')) {
-          const resolvedImportPath = path.resolve(
-            path.dirname(importInfo.file),
-            importFrom
-          );
-          const resolvedDeclPath = declaredFile.replace(/\.(ts|tsx|js|jsx)$/, '');
-
-          if (resolvedImportPath === resolvedDeclPath) {
-            return true;
-          }
-        }
-      }
-    }
-    return false;
-  }
-
-  isLikelyEntryPoint(file) {
-    const basename = path.basename(file, path.extname(file));
-    const dirname = path.basename(path.dirname(file));
-
-    // Common entry point patterns
-    const entryPatterns = ['index', 'main', 'app', 'entry', 'bootstrap'];
-
-    return (
-      entryPatterns.includes(basename.toLowerCase()) ||
-      (dirname === 'src' && basename === 'index')
-    );
-  }
-
-  getUnusedReason(isInternallyUsed, isImported, isExported, isLikelyEntryPoint) {
-    if (!isInternallyUsed && !isImported && !isExported) {
-      return 'Not used anywhere and not exported';
-    }
-    if (!isInternallyUsed && !isImported && isExported && !isLikelyEntryPoint) {
-      return 'Exported but never imported by any file';
-    }
-    if (!isInternallyUsed && !isImported && isExported && isLikelyEntryPoint) {
-      return 'Exported from entry point but analysis incomplete';
-    }
-    return 'Unknown';
-  }
-
-  isInBuiltinTypes(name) {
-    const builtinTypes = new Set([
-      'Array',
-      'Boolean',
-      'Date',
-      'Error',
-      'Function',
-      'Number',
-      'Object',
-      'RegExp',
-      'String',
-      'Symbol',
-      'Promise',
-      'Map',
-      'Set',
-      'WeakMap',
-      'WeakSet',
-      'React',
-      'ReactNode',
-      'ReactElement',
-      'Component',
-      'FC',
-      'FunctionComponent',
-      'console',
-      'window',
-      'document',
-      'process',
-      'global',
-      'setTimeout',
-      'setInterval',
-      'clearTimeout',
-      'clearInterval',
-      'require',
-      'exports',
-      'module',
-      '__dirname',
-      '__filename'
-    ]);
-    return builtinTypes.has(name);
-  }
-
-  enableDebug() {
-    this.debug = true;
-    console.log('🐛 Debug mode enabled');
-  }
-}
-
-// Main analysis function
-async function findUnusedCode(projectPath, tsConfigPath, options = {}) {
-  try {
-    console.log(`🚀 Starting unused code analysis...`);
-    console.log(`📍 Project path: ${path.resolve(projectPath)}`);
-    console.log(`🔧 Node.js version: ${process.version}`);
-
-    const detector = new UnusedCodeDetector(projectPath, tsConfigPath);
-
-    if (options.debug) {
-      detector.enableDebug();
-    }
-
-    const unused = detector.analyze();
-
-    console.log(`\n📊 Analysis Results:`);
-    console.log(`- Declarations found: ${detector.declarations.size}`);
-    console.log(`- Imports tracked: ${detector.imports.size}`);
-    console.log(`- Exports tracked: ${detector.exports.size}`);
-    console.log(`- Internal usages found: ${detector.usages.size}`);
-    console.log(`- Unused items: ${unused.length}`);
-
-    if (unused.length === 0) {
-      console.log('\n✅ No unused code found! Your project is clean.');
-      return;
-    }
-
-    console.log(`\n⚠️  Found ${unused.length} potentially unused items:\n`);
-
-    // Group by type
-    const grouped = unused.reduce((acc, item) => {
-      if (!acc[item.type]) acc[item.type] = [];
-      acc[item.type].push(item);
-      return acc;
-    }, {});
-
-    // Display results with reasons
-    Object.entries(grouped).forEach(([type, items]) => {
-      console.log(`\n${type.toUpperCase()}S (${items.length}):`);
-      items.forEach((item) => {
-        const relativePath = path.relative(process.cwd(), item.file);
-        const exportedStr = item.exported ? ' [EXPORTED]' : '';
-        console.log(`  • ${item.name}${exportedStr} - ${relativePath}:${item.line}`);
-        if (options.showReasons) {
-          console.log(`    Reason: ${item.reason}`);
-        }
-      });
-    });
-
-    // Save detailed report
-    const outputPath = path.join(projectPath, 'unused-code-report.json');
-    const report = {
-      timestamp: new Date().toISOString(),
-      nodeVersion: process.version,
-      projectPath: path.resolve(projectPath),
-      totalUnused: unused.length,
-      totalDeclarations: detector.declarations.size,
-      totalImports: detector.imports.size,
-      totalExports: detector.exports.size,
-      totalUsages: detector.usages.size,
-      byType: grouped,
-      items: unused,
-      allDeclarations: options.includeDetails
-        ? Array.from(detector.declarations.entries())
-        : undefined,
-      allImports: options.includeDetails
-        ? Array.from(detector.imports.entries())
-        : undefined,
-      allExports: options.includeDetails
-        ? Array.from(detector.exports.entries())
-        : undefined,
-      allUsages: options.includeDetails ? Array.from(detector.usages) : undefined
-    };
-
-    fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
-    console.log(
-      `\n📄 Detailed report saved to: ${path.relative(process.cwd(), outputPath)}`
-    );
-  } catch (error) {
-    console.error('\n❌ Error analyzing code:', error);
-    process.exit(1);
-  }
-}
-
-// CLI interface
-const args = process.argv.slice(2);
-
-if (args.includes('--help') || args.includes('-h')) {
-  console.log(`
-Usage: node findDeadCode.js [PROJECT_PATH] [TSCONFIG_PATH] [OPTIONS]
-
-Options:
-  PROJECT_PATH       Path to your project (default: current directory)
-  TSCONFIG_PATH      Path to tsconfig.json (optional)
-  --debug            Enable debug mode for verbose output
-  --show-reasons     Show why each item is considered unused
-  --include-details  Include all declarations and usages in report
-  --help, -h         Show this help message
-
-Examples:
-  node findDeadCode.js
-  node findDeadCode.js ./src
-  node findDeadCode.js ./src ./tsconfig.json
-  node findDeadCode.js ./src --debug --show-reasons
-  `);
-  process.exit(0);
-}
-
-const projectPath = args.find((arg) => !arg.startsWith('--')) || process.cwd();
-const tsConfigPath = args.find(
-  (arg, index) =>
-    index > 0 &&
-    !arg.startsWith('--') &&
-    args[index - 1] &&
-    !args[index - 1].startsWith('--')
-);
-const options = {
-  debug: args.includes('--debug'),
-  showReasons: args.includes('--show-reasons'),
-  includeDetails: args.includes('--include-details')
-};
-
-// Check if the project path exists
-if (!fs.existsSync(projectPath)) {
-  console.error(`❌ Project path does not exist: ${projectPath}`);
-  process.exit(1);
-}
-
-findUnusedCode(projectPath, tsConfigPath, options);
-
-export { UnusedCodeDetector, findUnusedCode };
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import ts from 'typescript';
+
+import { AnalysisCache, hashText } from './analysisCache.js';
+import { compareWithBaseline, readBaseline, writeBaseline } from './baseline.js';
+import { applySeverities } from './config.js';
+import { removeDeadCode } from './deadCodeRemover.js';
+import { findDependencyIssues } from './dependencies.js';
+import {
+  annotateAges,
+  findAffectedByChanges,
+  getChangesSince
+} from './gitHistory.js';
+import { globToRegExp, matchesGlob } from './globs.js';
+import { ModuleGraph, isRequireCall } from './moduleGraph.js';
+import { builtinPlugins, isPluginDependency, isPluginEnabled } from './plugins.js';
+import { formatReport } from './reporters.js';
+import { getCommentSuppression, getKeepTag } from './suppressions.js';
+import { findUnreachableCode } from './unreachableCode.js';
+import { loadWorkspace } from './workspaces.js';
+
+// Tests and stories exercise code without making it part of the product
+const defaultNonProductionPatterns = [
+  '**/*.{test,spec}.{ts,tsx,mts,cts,js,jsx,mjs,cjs}',
+  '**/__tests__/**',
+  '**/*.stories.{ts,tsx,js,jsx,mdx}'
+];
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const groupTitles = {
+  class: 'CLASSES',
+  property: 'PROPERTIES',
+  method: 'METHODS',
+  accessor: 'ACCESSORS',
+  enumMember: 'ENUM MEMBERS',
+  dependency: 'DEPENDENCIES',
+  unlistedDependency: 'UNLISTED DEPENDENCIES',
+  'test-only': 'TEST-ONLY',
+  unreachable: 'UNREACHABLE CODE',
+  typeOnly: 'ONLY USED AS TYPES',
+  typeImport: 'IMPORTS ONLY USED AS TYPES',
+  leakedType: 'TYPES LEAKING FROM THE PUBLIC API'
+};
+const silentLogger = { log() {}, warn() {}, error() {} };
+const phaseCount = 8;
+
+// Emits `progress` events with the phase being started. Nothing is printed
+// unless a logger is given; `console` works as one.
+class UnusedCodeDetector extends EventEmitter {
+  // A watcher passes the workspace and the program it rebuilt, along with the
+  // cache shared by all its runs. `new UnusedCodeDetector(projectPath,
+  // tsConfigPath)` still works and logs to the console as it always did.
+  constructor(options = {}, legacyTsConfigPath) {
+    super();
+    const {
+      projectPath = process.cwd(),
+      tsConfigPath,
+      files,
+      logger = silentLogger,
+      workspace,
+      program,
+      cache
+    } = typeof options === 'string'
+      ? { projectPath: options, tsConfigPath: legacyTsConfigPath, logger: console }
+      : options;
+
+    this.projectPath = projectPath;
+    this.logger = logger;
+    // All maps are keyed by the resolved ts.Symbol, never by identifier text
+    this.declarations = new Map(); // What's declared
+    this.imports = new Map(); // Where each symbol is imported by other files
+    this.reExports = new Map(); // Barrels re-exporting each symbol
+    this.importBindings = []; // Every local name introduced by an import
+    this.referencedAliases = new Set(); // Import bindings referenced in their file
+    this.valueAliases = new Set(); // Import bindings referenced as values
+    this.usages = new Map(); // Files in which each symbol is referenced
+    this.valueUsages = new Set(); // Symbols referenced as values, not only as types
+    this.wholeUsages = new Set(); // Enums and types whose members are reached dynamically
+    this.references = new Map(); // Symbols referenced from inside each declaration
+    this.topLevelUsages = new Map(); // Files using each symbol outside any declaration
+    this.ownerNodes = new Map(); // Declaration nodes whose bodies reference others
+    this.currentOwner = null; // Declaration enclosing the usage being visited
+    this.liveSymbols = new Set(); // Reachable from the public API and top level code
+    this.testLiveSymbols = new Set(); // Also reachable from tests and stories
+    this.exports = new Map(); // What's exported
+    this.entryPatterns = []; // Globs of files declared as entry points
+    this.ignorePatterns = { files: [], names: [] }; // Findings never reported
+    this.includePatterns = []; // Globs of the only files findings are reported in
+    this.nonProductionPatterns = []; // Globs of test and story files
+    this.constants = {}; // Values of expressions such as process.env.NODE_ENV
+    this.plugins = [...builtinPlugins]; // Conventions of frameworks
+    this.projectPlugins = new Map(); // Plugins enabled for each project
+    this.pluginUsedSymbols = new Set(); // Used by a framework by convention
+    this.builtinNames = null; // Globals of the enabled plugins, built lazily
+    this.suppressed = []; // Findings silenced by comments, tags or patterns
+    this.entryFiles = [];
+    this.publicSymbols = new Set(); // Everything exported from an entry point
+    this.leakedTypes = new Map(); // Types public signatures expose, by API name
+    this.moduleGraph = null;
+    this.unreachableFiles = new Set(); // Files no entry point leads to
+    this.cache = cache; // Usage facts of unchanged files from earlier runs
+    this.symbolIds = new Map(); // Stable ids of symbols for the cache
+    this.symbolsById = new Map();
+    this.recording = null; // Usage facts of the file being walked
+    this.debug = false;
+
+    this.logger.log(`🔍 Starting analysis in: ${path.resolve(projectPath)}`);
+
+    this.workspace =
+      workspace || loadWorkspace(projectPath, tsConfigPath, { files, logger });
+    this.workspace.projects.forEach((project) => {
+      const name = project.name ? `${project.name} ` : '';
+      this.logger.log(
+        project.configPath
+          ? `📋 Using TypeScript config: ${name}${project.configPath}`
+          : `📋 No tsconfig.json or jsconfig.json, analyzing ${name}${project.dir} as JavaScript`
+      );
+    });
+
+    const { projects } = this.workspace;
+    const scope =
+      projects.length === 1 ? 'the project' : `${projects.length} projects`;
+    this.logger.log(`📁 Found ${this.workspace.files.size} files in ${scope}`);
+
+    this.program = program || this.workspace.createProgram();
+
+    this.checker = this.program.getTypeChecker();
+    this.sourceFiles = this.program
+      .getSourceFiles()
+      .filter(
+        (file) => !file.isDeclarationFile && !file.fileName.includes('node_modules')
+      );
+
+    this.logger.log(`🔢 Analyzing ${this.sourceFiles.length} source files`);
+  }
+
+  startPhase(phase, title) {
+    this.emit('progress', { phase, total: phaseCount, title });
+    this.logger.log(`\n🔍 Phase ${phase}: ${title}...`);
+  }
+
+  analyze() {
+    this.startPhase(1, 'Collecting declarations');
+    this.sourceFiles.forEach((file) => this.collectDeclarations(file));
+    this.logger.log(`📊 Found ${this.declarations.size} declarations`);
+
+    this.startPhase(2, 'Tracking imports');
+    this.moduleGraph = new ModuleGraph(
+      this.program,
+      this.sourceFiles,
+      this.workspace
+    );
+    this.sourceFiles.forEach((file) => this.trackImports(file));
+    // Names read from require() and import() calls are only known once usages
+    // are walked
+    const staticImportCount = this.imports.size;
+    this.logger.log(`📊 Found ${staticImportCount} static imports`);
+
+    this.startPhase(3, 'Finding internal usages');
+    if (this.cache) {
+      this.registerSymbolIds();
+      const { reused, total } = this.cache.prepare(
+        this.sourceFiles,
+        this.moduleGraph
+      );
+      this.logger.log(`♻️ Reusing cached usages of ${reused} of ${total} files`);
+    }
+    this.sourceFiles.forEach((file) => this.collectUsages(file));
+    if (this.cache) this.cache.save();
+    this.logger.log(`📊 Found ${this.usages.size} referenced symbols`);
+    const callImportCount = this.imports.size - staticImportCount;
+    this.logger.log(
+      `📊 Found ${callImportCount} imports through require() and import()`
+    );
+
+    this.startPhase(4, 'Tracking exports');
+    this.sourceFiles.forEach((file) => this.trackExports(file));
+    this.logger.log(`📊 Found ${this.exports.size} exports`);
+
+    this.entryFiles = this.getEntryFiles();
+    this.collectPublicApi();
+    this.leakedTypes = this.collectLeakedTypes();
+    this.pluginUsedSymbols = this.findPluginUsedSymbols();
+    this.logger.log(
+      `📍 ${this.entryFiles.length} entry points expose ${this.publicSymbols.size} public symbols`
+    );
+    this.liveSymbols = this.findLiveSymbols(false);
+    this.testLiveSymbols = this.findLiveSymbols(true);
+
+    this.startPhase(5, 'Analyzing usage patterns');
+    const unused = [];
+    const unusedSymbols = new Set();
+    const members = [];
+
+    this.declarations.forEach((declaration, symbol) => {
+      // Members are judged once we know whether their container is unused
+      if (declaration.container) {
+        members.push([symbol, declaration]);
+        return;
+      }
+
+      const { name } = declaration;
+      const isInternallyUsed = this.usages.has(symbol);
+      const isImported = this.isSymbolImported(symbol, declaration.file);
+      const isExported = this.exports.has(symbol);
+      const isBuiltin = this.isInBuiltinTypes(name);
+
+      if (this.debug) {
+        this.logger.log(`\n📋 Analyzing: ${name}`);
+        this.logger.log(`  - File: ${path.basename(declaration.file)}`);
+        this.logger.log(`  - Type: ${declaration.type}`);
+        this.logger.log(`  - Internally used: ${isInternallyUsed}`);
+        this.logger.log(`  - Imported by others: ${isImported}`);
+        this.logger.log(`  - Exported: ${isExported}`);
+        this.logger.log(`  - Public API: ${this.publicSymbols.has(symbol)}`);
+        this.logger.log(`  - Live: ${this.liveSymbols.has(symbol)}`);
+        this.logger.log(`  - Builtin: ${isBuiltin}`);
+      }
+
+      // Something is unused if:
+      // 1. It's not reachable from live code: the public API and code run at
+      //    the top level of reachable modules. Code only used by other dead
+      //    code, including cycles, is dead too.
+      // 2. It's not a builtin type
+      // 3. Exception: If it's exported from an entry point, it's public API and we keep it
+      const isPublicApi = this.publicSymbols.has(symbol);
+      if (isBuiltin || (isExported && isPublicApi)) return;
+      if (this.pluginUsedSymbols.has(symbol) && this.liveSymbols.has(symbol)) return;
+
+      const isUsed = isInternallyUsed || isImported;
+      if (isUsed && this.liveSymbols.has(symbol)) return;
+      if (this.isLiveTestCode(symbol, declaration)) return;
+      // Locals of dead functions go away with the function
+      if (this.getDeadOwner(symbol) !== symbol) return;
+      // Unused parameters before a used one keep the others in place
+      if (
+        declaration.type === 'parameter' &&
+        this.isFollowedByUsedParameter(declaration.node)
+      ) {
+        return;
+      }
+
+      // Even exported items can be unused if no one imports them
+      const finding = isUsed
+        ? this.createUsedButDeadFinding(symbol, declaration, isExported)
+        : this.createFinding(declaration, {
+            exported: isExported,
+            reason: isInsideFunction(declaration.node)
+              ? this.getLocalUnusedReason(declaration)
+              : this.getUnusedReason(
+                  isInternallyUsed,
+                  isImported,
+                  isExported,
+                  isPublicApi
+                )
+          });
+
+      // Tagged declarations count as used, along with their members
+      const keepTag = getKeepTag(declaration.node);
+      if (keepTag) {
+        this.suppress(finding, keepTag);
+      } else {
+        unusedSymbols.add(symbol);
+        unused.push(finding);
+      }
+    });
+
+    members.forEach(([symbol, declaration]) => {
+      // An unused member of an unused class goes away with its class
+      if (unusedSymbols.has(declaration.container)) return;
+      if (this.liveSymbols.has(symbol)) return;
+      if (this.isLiveTestCode(symbol, declaration)) return;
+
+      const finding = this.usages.has(symbol)
+        ? this.createUsedButDeadFinding(symbol, declaration, false)
+        : this.createFinding(declaration, {
+            exported: false,
+            reason: this.getMemberUnusedReason(declaration)
+          });
+      const keepTag = getKeepTag(declaration.node);
+      if (keepTag) {
+        this.suppress(finding, keepTag);
+      } else {
+        unusedSymbols.add(symbol);
+        unused.push(finding);
+      }
+    });
+
+    const unreachableCode = this.findUnreachableCode(unusedSymbols);
+    this.logger.log(`📊 Found ${unreachableCode.length} unreachable statements`);
+    unused.push(...unreachableCode);
+
+    this.startPhase(6, 'Walking the module graph');
+    const unreachable = this.findUnreachableFiles();
+    this.unreachableFiles = new Set(unreachable.map(({ file }) => file));
+    this.logger.log(`📊 Found ${unreachable.length} unreachable files`);
+    unused.push(...unreachable);
+
+    this.startPhase(7, 'Checking imports and dependencies');
+    const unusedImports = this.findUnusedImports();
+    this.logger.log(`📊 Found ${unusedImports.length} unused imports`);
+    unused.push(...unusedImports);
+
+    const dependencyIssues = this.findDependencyIssues();
+    this.logger.log(`📊 Found ${dependencyIssues.length} dependency issues`);
+    unused.push(...dependencyIssues);
+
+    this.startPhase(8, 'Checking type-only usage');
+    const typeOnlyValues = this.findTypeOnlyValues();
+    this.logger.log(
+      `📊 Found ${typeOnlyValues.length} classes and enums only used as types`
+    );
+    unused.push(...typeOnlyValues);
+
+    const typeImports = this.findTypeOnlyImports();
+    this.logger.log(`📊 Found ${typeImports.length} imports only used as types`);
+    unused.push(...typeImports);
+
+    const leakedTypes = this.findLeakedTypes();
+    this.logger.log(
+      `📊 Found ${leakedTypes.length} types leaking from the public API`
+    );
+    unused.push(...leakedTypes);
+
+    const reported = unused.filter((finding) => {
+      if (!this.isIncluded(finding.file)) return false;
+      const suppressedBy = this.getSuppression(finding);
+      if (suppressedBy) this.suppress(finding, suppressedBy);
+      return !suppressedBy;
+    });
+    if (this.suppressed.length > 0) {
+      this.logger.log(`🙈 Suppressed ${this.suppressed.length} findings`);
+    }
+
+    // Findings are reported per workspace package
+    if (this.workspace.isMonorepo) {
+      reported.forEach((item) => {
+        const project = this.workspace.getProject(item.file);
+        item.package =
+          (project && project.name) ||
+          path.relative(this.workspace.rootDir, project ? project.dir : item.file);
+      });
+    }
+
+    return reported;
+  }
+
+  // Exports that are only referenced inside their own file, so dropping the
+  // `export` modifier does not affect any other module
+  findUnneededExports() {
+    const unneeded = [];
+
+    this.exports.forEach((exportInfo, symbol) => {
+      const declaration = this.declarations.get(symbol);
+      const usedIn = this.usages.get(symbol);
+
+      if (!usedIn || this.isSymbolImported(symbol, declaration.file)) return;
+      if (Array.from(usedIn).some((file) => file !== declaration.file)) return;
+      if (
+        this.publicSymbols.has(symbol) ||
+        this.pluginUsedSymbols.has(symbol) ||
+        this.isInBuiltinTypes(declaration.name)
+      ) {
+        return;
+      }
+
+      unneeded.push(
+        this.createFinding(declaration, {
+          exported: true,
+          reason: 'Exported but only used in its own file'
+        })
+      );
+    });
+
+    return unneeded;
+  }
+
+  // Comments and ignore patterns apply to every kind of finding, JSDoc tags
+  // are checked while declarations are judged
+  getSuppression(finding) {
+    if (matchesGlob(finding.file, this.ignorePatterns.files)) {
+      return 'ignored file pattern';
+    }
+    const namePattern = this.ignorePatterns.names.find((pattern) =>
+      globToRegExp(pattern).test(finding.name)
+    );
+    if (namePattern) return `ignored name pattern ${namePattern}`;
+
+    const sourceFile = this.program.getSourceFile(finding.file);
+    return sourceFile && getCommentSuppression(sourceFile, finding.line);
+  }
+
+  // Findings outside the included files are neither reported nor counted as
+  // suppressed
+  suppress(finding, suppressedBy) {
+    if (!this.isIncluded(finding.file)) return;
+    this.suppressed.push({ ...finding, suppressedBy });
+  }
+
+  createFinding(declaration, details) {
+    const { nodes = [] } = declaration;
+
+    return {
+      name: declaration.name,
+      type: declaration.type,
+      ...getLocation(declaration.node),
+      // Overloads and merged declarations are one finding listing them all
+      ...(nodes.length > 1 && { locations: nodes.map(getLocation) }),
+      ...details
+    };
+  }
+
+  // Code used only by tests and stories is reported in its own category along
+  // with the files using it, anything else is kept alive by other dead code
+  createUsedButDeadFinding(symbol, declaration, exported) {
+    if (this.testLiveSymbols.has(symbol)) {
+      const usedBy = this.getNonProductionConsumers(symbol);
+      return this.createFinding(declaration, {
+        type: 'test-only',
+        kind: declaration.type,
+        exported,
+        reason: 'Only used by tests and stories',
+        usedBy,
+        ...(usedBy.length === 0 && { keptAliveBy: this.getKeptAliveBy(symbol) })
+      });
+    }
+
+    return this.createFinding(declaration, {
+      exported,
+      reason: 'Only used by code that is itself unused',
+      keptAliveBy: this.getKeptAliveBy(symbol)
+    });
+  }
+
+  collectDeclarations(sourceFile) {
+    let declarationCount = 0;
+
+    const declare = (nameNode, node, type) => {
+      // `_` marks locals that are unused on purpose
+      if (nameNode.text.startsWith('_') && isInsideFunction(node)) return;
+      if (this.addDeclaration(nameNode, node, type)) declarationCount++;
+    };
+
+    const visit = (node) => {
+      try {
+        // Variables (const, let, var)
+        if (ts.isVariableStatement(node)) {
+          node.declarationList.declarations.forEach((decl) => {
+            const flags = node.declarationList.flags;
+            let type = 'variable';
+            if (flags & ts.NodeFlags.Const) type = 'constant';
+
+            if (ts.isIdentifier(decl.name)) {
+              if (!this.isRequireAlias(decl.name)) declare(decl.name, decl, type);
+              return;
+            }
+
+            // const { a, b } = x and const [x, y] = useState(), each name
+            // on its own
+            getBindingElements(decl.name).forEach((element) => {
+              if (!this.isRequireAlias(element.name)) {
+                declare(element.name, element, type);
+              }
+            });
+          });
+        }
+
+        // Function declarations
+        if (ts.isFunctionDeclaration(node) && node.name) {
+          declare(node.name, node, 'function');
+        }
+
+        // Arrow functions and function expressions
+        if (
+          ts.isVariableDeclaration(node) &&
+          node.initializer &&
+          (ts.isArrowFunction(node.initializer) ||
+            ts.isFunctionExpression(node.initializer)) &&
+          ts.isIdentifier(node.name)
+        ) {
+          declare(node.name, node, 'function');
+        }
+
+        // CommonJS: exports.foo = ..., module.exports.foo = ... and the
+        // properties of module.exports = { ... } that are not just names
+        if (
+          ts.isExpressionStatement(node) &&
+          isCommonJsExportAssignment(node.expression) &&
+          ts.isPropertyAccessExpression(node.expression.left)
+        ) {
+          declare(
+            node.expression.left.name,
+            node,
+            getAssignedValueType(node.expression.right)
+          );
+        }
+        if (isCommonJsExportsObject(node)) {
+          node.properties.forEach((property) => {
+            if (ts.isPropertyAssignment(property)) {
+              if (ts.isIdentifier(property.initializer)) return;
+              declare(
+                property.name,
+                property,
+                getAssignedValueType(property.initializer)
+              );
+            } else if (ts.isMethodDeclaration(property)) {
+              declare(property.name, property, 'function');
+            }
+          });
+        }
+
+        // Type aliases and interfaces
+        if (ts.isTypeAliasDeclaration(node)) {
+          declare(node.name, node, 'type');
+        }
+
+        if (ts.isInterfaceDeclaration(node)) {
+          declare(node.name, node, 'interface');
+        }
+
+        // Classes and enums
+        if (ts.isClassDeclaration(node) && node.name) {
+          declare(node.name, node, 'class');
+        }
+
+        if (ts.isEnumDeclaration(node)) {
+          declare(node.name, node, 'enum');
+        }
+
+        // Namespaces, but not `declare global` or `declare module 'name'`
+        if (
+          ts.isModuleDeclaration(node) &&
+          ts.isIdentifier(node.name) &&
+          !(node.flags & ts.NodeFlags.GlobalAugmentation)
+        ) {
+          declare(node.name, node, 'namespace');
+        }
+
+        // Members of the above
+        if (
+          (ts.isClassDeclaration(node) ||
+            ts.isInterfaceDeclaration(node) ||
+            ts.isEnumDeclaration(node)) &&
+          node.name
+        ) {
+          declarationCount += this.collectMembers(node);
+        }
+
+        if (ts.isFunctionLike(node) && node.body) {
+          declarationCount += this.collectParameters(node);
+        }
+
+        ts.forEachChild(node, visit);
+      } catch (error) {
+        this.logger.warn(
+          `⚠️ Error processing node in ${sourceFile.fileName}:`,
+          error
+        );
+      }
+    };
+
+    visit(sourceFile);
+
+    if (declarationCount > 0 && this.debug) {
+      this.logger.log(
+        `📁 ${path.basename(sourceFile.fileName)}: ${declarationCount} declarations`
+      );
+    }
+  }
+
+  addDeclaration(nameNode, node, type, extra = {}) {
+    const { symbol = this.getSymbol(nameNode), ...details } = extra;
+    if (!symbol) return false;
+
+    // Overloads and merged interfaces, namespaces and enums share a symbol,
+    // the first declaration stands for all of them
+    const existing = this.declarations.get(symbol);
+    if (existing && existing.node !== node) {
+      existing.nodes.push(node);
+    } else {
+      this.declarations.set(symbol, {
+        name: nameNode.text,
+        file: node.getSourceFile().fileName,
+        node,
+        nodes: [node],
+        type,
+        ...details
+      });
+    }
+
+    // Property and enum member initializers run with their container, so
+    // what they reference is attributed to the container instead
+    if (
+      !ts.isPropertyDeclaration(node) &&
+      !ts.isEnumMember(node) &&
+      !ts.isParameter(node)
+    ) {
+      this.ownerNodes.set(node, symbol);
+    }
+    return true;
+  }
+
+  // Members of classes, interfaces and enums are recorded under their own
+  // symbols with a qualified name such as `Widget.render`
+  collectMembers(container) {
+    const containerSymbol = this.getSymbol(container.name);
+    if (!containerSymbol) return 0;
+
+    let memberCount = 0;
+    const declareMember = (nameNode, node, type, symbol) => {
+      if (
+        !ts.isIdentifier(nameNode) &&
+        !ts.isPrivateIdentifier(nameNode) &&
+        !ts.isStringLiteral(nameNode)
+      ) {
+        return;
+      }
+
+      const added = this.addDeclaration(nameNode, node, type, {
+        ...(symbol && { symbol }),
+        name: `${container.name.text}.${nameNode.text}`,
+        container: containerSymbol,
+        isPrivate:
+          ts.isPrivateIdentifier(nameNode) ||
+          this.hasModifier(node, ts.SyntaxKind.PrivateKeyword),
+        overrides: this.overridesBaseMember(container, node)
+      });
+      if (added) memberCount++;
+    };
+
+    container.members.forEach((member) => {
+      if (ts.isEnumMember(member)) {
+        declareMember(member.name, member, 'enumMember');
+      } else if (
+        ts.isPropertyDeclaration(member) ||
+        ts.isPropertySignature(member)
+      ) {
+        declareMember(member.name, member, 'property');
+      } else if (ts.isMethodDeclaration(member) || ts.isMethodSignature(member)) {
+        declareMember(member.name, member, 'method');
+      } else if (ts.isGetAccessor(member) || ts.isSetAccessor(member)) {
+        declareMember(member.name, member, 'accessor');
+      } else if (ts.isConstructorDeclaration(member)) {
+        // constructor(private readonly http: HttpClient)
+        member.parameters.forEach((parameter) => {
+          if (
+            ts.isParameterPropertyDeclaration(parameter, member) &&
+            ts.isIdentifier(parameter.name)
+          ) {
+            const [, propertySymbol] =
+              this.checker.getSymbolsOfParameterPropertyDeclaration(
+                parameter,
+                parameter.name.text
+              );
+            declareMember(parameter.name, parameter, 'property', propertySymbol);
+          }
+        });
+      }
+    });
+
+    return memberCount;
+  }
+
+  // Parameters of functions whose signature is up to the function itself.
+  // Callbacks, methods implementing an interface or overriding a base class
+  // and setters have to accept what they are given.
+  collectParameters(node) {
+    if (ts.isSetAccessor(node)) return 0;
+    if (
+      (ts.isMethodDeclaration(node) || ts.isGetAccessor(node)) &&
+      ts.isClassLike(node.parent) &&
+      this.overridesBaseMember(node.parent, node)
+    ) {
+      return 0;
+    }
+    const contextNode = ts.isObjectLiteralExpression(node.parent)
+      ? node.parent
+      : node;
+    if (
+      (ts.isFunctionExpression(node) ||
+        ts.isArrowFunction(node) ||
+        ts.isObjectLiteralExpression(contextNode)) &&
+      this.checker.getContextualType(contextNode)
+    ) {
+      return 0;
+    }
+
+    let parameterCount = 0;
+    node.parameters.forEach((parameter) => {
+      // Unused properties of a destructured parameter can go wherever they
+      // are, unlike elements of arrays
+      if (ts.isObjectBindingPattern(parameter.name)) {
+        getBindingElements(parameter.name).forEach((element) => {
+          if (element.name.text.startsWith('_')) return;
+          if (this.addDeclaration(element.name, element, 'parameter')) {
+            parameterCount++;
+          }
+        });
+        return;
+      }
+      if (
+        !ts.isIdentifier(parameter.name) ||
+        parameter.name.text === 'this' ||
+        parameter.name.text.startsWith('_') ||
+        ts.isParameterPropertyDeclaration(parameter, node)
+      ) {
+        return;
+      }
+      if (this.addDeclaration(parameter.name, parameter, 'parameter')) {
+        parameterCount++;
+      }
+    });
+    return parameterCount;
+  }
+
+  // Members that override or implement a base type member are called through
+  // that base type, which the checker resolves to the base member's symbol
+  overridesBaseMember(container, member) {
+    if (this.hasModifier(member, ts.SyntaxKind.OverrideKeyword)) return true;
+    if (!ts.isClassDeclaration(container) || !container.heritageClauses)
+      return false;
+    if (this.hasModifier(member, ts.SyntaxKind.StaticKeyword)) return false;
+    if (
+      !member.name ||
+      !(ts.isIdentifier(member.name) || ts.isStringLiteral(member.name))
+    ) {
+      return false;
+    }
+
+    return container.heritageClauses.some((clause) =>
+      clause.types.some((typeNode) =>
+        Boolean(
+          this.checker.getTypeAtLocation(typeNode).getProperty(member.name.text)
+        )
+      )
+    );
+  }
+
+  hasModifier(node, kind) {
+    const modifiers = ts.canHaveModifiers(node) ? ts.getModifiers(node) : undefined;
+    return Boolean(
+      modifiers && modifiers.some((modifier) => modifier.kind === kind)
+    );
+  }
+
+  // Resolve the symbol behind a name, following import aliases and re-exports
+  // back to the original declaration so that each entity has a single identity
+  getSymbol(node) {
+    const symbol = this.getReferencedSymbol(node);
+    return symbol && this.resolveSymbol(symbol);
+  }
+
+  // The symbol a name refers to in its own file, import aliases included
+  getReferencedSymbol(node) {
+    // `{ foo }` resolves to the object property, we want the variable behind it
+    if (
+      node.parent &&
+      ts.isShorthandPropertyAssignment(node.parent) &&
+      node.parent.name === node
+    ) {
+      return this.checker.getShorthandAssignmentValueSymbol(node.parent);
+    }
+
+    return this.checker.getSymbolAtLocation(node);
+  }
+
+  resolveSymbol(symbol) {
+    if (symbol.flags & ts.SymbolFlags.Alias) {
+      const alias = symbol;
+      symbol = this.checker.getAliasedSymbol(alias);
+      // The checker gave up on the specifier, resolve it ourselves
+      if (!symbol.declarations || symbol.declarations.length === 0) {
+        symbol = this.resolveUnresolvedAlias(alias) || symbol;
+      }
+    }
+    return this.mapToSourceSymbol(
+      this.getCommonJsExportedValue(this.checker.getExportSymbolOfSymbol(symbol))
+    );
+  }
+
+  // `module.exports = { a, b: c }` exports the variables behind the
+  // properties, much like `export { a, c as b }`
+  getCommonJsExportedValue(symbol) {
+    const declaration = symbol.valueDeclaration;
+    if (!declaration || !isCommonJsExportsObject(declaration.parent)) {
+      return symbol;
+    }
+
+    const value = ts.isShorthandPropertyAssignment(declaration)
+      ? this.checker.getShorthandAssignmentValueSymbol(declaration)
+      : ts.isPropertyAssignment(declaration) &&
+        ts.isIdentifier(declaration.initializer) &&
+        this.checker.getSymbolAtLocation(declaration.initializer);
+    return value ? this.resolveSymbol(value) : symbol;
+  }
+
+  // `const x = require('./x')` in JavaScript is an import, not a variable
+  isRequireAlias(nameNode) {
+    const symbol = this.checker.getSymbolAtLocation(nameNode);
+    return Boolean(symbol && symbol.flags & ts.SymbolFlags.Alias);
+  }
+
+  // CommonJS files are modules too, without anything the checker would call
+  // an external module indicator
+  getFileModuleSymbol(sourceFile) {
+    return (
+      this.checker.getSymbolAtLocation(sourceFile) ||
+      (sourceFile.commonJsModuleIndicator ? sourceFile.symbol : undefined)
+    );
+  }
+
+  resolveUnresolvedAlias(alias) {
+    const declaration = alias.declarations && alias.declarations[0];
+    const importDeclaration =
+      declaration &&
+      ts.findAncestor(
+        declaration,
+        (node) => ts.isImportDeclaration(node) || ts.isImportEqualsDeclaration(node)
+      );
+    const specifier =
+      importDeclaration &&
+      (ts.isImportDeclaration(importDeclaration)
+        ? importDeclaration.moduleSpecifier
+        : ts.isExternalModuleReference(importDeclaration.moduleReference) &&
+          importDeclaration.moduleReference.expression);
+    const moduleSymbol =
+      specifier &&
+      ts.isStringLiteralLike(specifier) &&
+      this.getModuleSymbol(specifier, declaration.getSourceFile());
+    if (!moduleSymbol) return undefined;
+
+    if (
+      ts.isNamespaceImport(declaration) ||
+      ts.isImportEqualsDeclaration(declaration)
+    ) {
+      return moduleSymbol;
+    }
+    const exportName = ts.isImportClause(declaration)
+      ? 'default'
+      : (declaration.propertyName || declaration.name).text;
+    const exportSymbol = this.checker
+      .getExportsOfModule(moduleSymbol)
+      .find((candidate) => candidate.escapedName === exportName);
+    return exportSymbol && this.resolveSymbol(exportSymbol);
+  }
+
+  // Declarations emitted into the build output stand for the source they were
+  // compiled from, e.g. when `paths` point at `dist/*.d.ts`
+  mapToSourceSymbol(symbol) {
+    const declaration = symbol.declarations && symbol.declarations[0];
+    const sourceFile = declaration && declaration.getSourceFile();
+    if (!sourceFile || !sourceFile.isDeclarationFile) {
+      return symbol;
+    }
+    // Only the module itself and its top level exports have a counterpart
+    const isModuleExport =
+      ts.isSourceFile(declaration) ||
+      (symbol.parent && symbol.parent.valueDeclaration === sourceFile);
+    if (!isModuleExport) return symbol;
+
+    const fileName = this.workspace.toSourceFile(sourceFile.fileName);
+    const targetFile =
+      fileName !== sourceFile.fileName && this.program.getSourceFile(fileName);
+    const moduleSymbol = targetFile && this.getFileModuleSymbol(targetFile);
+    if (!moduleSymbol) return symbol;
+
+    if (ts.isSourceFile(declaration)) return moduleSymbol;
+    const exportSymbol = this.checker
+      .getExportsOfModule(moduleSymbol)
+      .find((candidate) => candidate.escapedName === symbol.escapedName);
+    return exportSymbol ? this.resolveSymbol(exportSymbol) : symbol;
+  }
+
+  trackImports(sourceFile) {
+    const visit = (node) => {
+      if (ts.isImportDeclaration(node) && node.importClause) {
+        const from = node.moduleSpecifier.text;
+        const { name, namedBindings } = node.importClause;
+
+        // Track named imports: import { something } from './file'
+        if (namedBindings && ts.isNamedImports(namedBindings)) {
+          namedBindings.elements.forEach((element) => {
+            this.addImport(element.name, from, sourceFile, 'named');
+          });
+        }
+
+        // Track default imports: import Something from './file'
+        if (name) {
+          this.addImport(name, from, sourceFile, 'default');
+        }
+
+        // Track namespace imports: import * as ns from './file'
+        if (namedBindings && ts.isNamespaceImport(namedBindings)) {
+          this.addImport(namedBindings.name, from, sourceFile, 'namespace');
+        }
+      }
+
+      // Track CommonJS style imports: import x = require('./file')
+      if (
+        ts.isImportEqualsDeclaration(node) &&
+        ts.isExternalModuleReference(node.moduleReference) &&
+        ts.isStringLiteral(node.moduleReference.expression)
+      ) {
+        this.addImport(
+          node.name,
+          node.moduleReference.expression.text,
+          sourceFile,
+          'require'
+        );
+      }
+
+      // CommonJS requires in JavaScript: const x = require('./file') and
+      // const { a, b } = require('./file')
+      if (
+        ts.isVariableDeclaration(node) &&
+        node.initializer &&
+        isRequireCall(node.initializer)
+      ) {
+        getBindingNames(node.name)
+          .filter((nameNode) => this.isRequireAlias(nameNode))
+          .forEach((nameNode) =>
+            this.addImportBinding(
+              nameNode,
+              node.initializer.arguments[0].text,
+              sourceFile
+            )
+          );
+      }
+
+      // Track re-exports: export { a } from './file', export * from './file'
+      if (ts.isExportDeclaration(node) && node.moduleSpecifier) {
+        this.trackReExports(node, sourceFile);
+      }
+
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+  }
+
+  addImport(nameNode, from, sourceFile, type) {
+    this.addImportBinding(nameNode, from, sourceFile);
+
+    const symbol = this.getSymbol(nameNode);
+    if (!symbol) return;
+
+    if (!this.imports.has(symbol)) {
+      this.imports.set(symbol, []);
+    }
+    this.imports.get(symbol).push({
+      name: nameNode.text,
+      from,
+      file: sourceFile.fileName,
+      type
+    });
+
+    if (this.debug) {
+      this.logger.log(
+        `📥 ${type === 'default' ? 'Default import' : 'Import'}: ${
+          nameNode.text
+        } from ${from} in ${path.basename(sourceFile.fileName)}`
+      );
+    }
+  }
+
+  trackReExports(node, sourceFile) {
+    const from = node.moduleSpecifier.text;
+
+    if (node.exportClause && ts.isNamedExports(node.exportClause)) {
+      node.exportClause.elements.forEach((element) => {
+        const symbol = this.getSymbol(element.name);
+        if (symbol) this.addReExport(symbol, from, sourceFile, element);
+      });
+      return;
+    }
+
+    // export * from './file' and export * as ns from './file'
+    const moduleSymbol = this.checker.getSymbolAtLocation(node.moduleSpecifier);
+    if (!moduleSymbol) return;
+    this.getModuleExports(moduleSymbol).forEach((exportSymbol) => {
+      this.addReExport(this.resolveSymbol(exportSymbol), from, sourceFile, node);
+    });
+  }
+
+  // A re-export is not a use, the symbol is only used when somebody imports
+  // it through the barrel; the fixer needs to know about it though
+  addReExport(symbol, from, sourceFile, node) {
+    if (!this.reExports.has(symbol)) {
+      this.reExports.set(symbol, []);
+    }
+    this.reExports.get(symbol).push({ from, file: sourceFile.fileName, node });
+
+    if (this.debug) {
+      this.logger.log(
+        `🔁 Re-export: ${symbol.name} from ${from} in ${path.basename(
+          sourceFile.fileName
+        )}`
+      );
+    }
+  }
+
+  // import('./file') and require('./file'): the names read from the result
+  // count as imports, anything the call can't be traced through uses them all
+  trackModuleCall(node, sourceFile) {
+    const [specifier] = node.arguments;
+    const moduleSymbol =
+      this.checker.getSymbolAtLocation(specifier) ||
+      this.getModuleSymbol(specifier, sourceFile);
+    if (!moduleSymbol || !this.isModuleSymbol(moduleSymbol)) return;
+
+    const type =
+      node.expression.kind === ts.SyntaxKind.ImportKeyword ? 'dynamic' : 'require';
+    const names = this.getNamesReadFromModuleCall(node);
+    // Require bindings in JavaScript are aliases, used only where referenced
+    // just like imports
+    const isAliased =
+      ts.isVariableDeclaration(node.parent) &&
+      getBindingNames(node.parent.name).some((nameNode) =>
+        this.isRequireAlias(nameNode)
+      );
+    if (!names) {
+      this.addModuleUsage(moduleSymbol, sourceFile);
+      return;
+    }
+
+    const exportSymbols = this.getModuleExports(moduleSymbol);
+    names.forEach((name) => {
+      const exportSymbol = exportSymbols.find(
+        (candidate) => candidate.name === name
+      );
+      if (!exportSymbol) return;
+
+      const symbol = this.resolveSymbol(exportSymbol);
+      if (!isAliased) {
+        this.addUsage(symbol, sourceFile);
+        this.addValueUsage(symbol);
+      }
+      if (!this.imports.has(symbol)) {
+        this.imports.set(symbol, []);
+      }
+      this.imports
+        .get(symbol)
+        .push({ name, from: specifier.text, file: sourceFile.fileName, type });
+      this.recordFact('import', symbol, name, specifier.text, type);
+    });
+  }
+
+  getNamesReadFromModuleCall(node) {
+    const bindingNames = (pattern) =>
+      pattern.elements.every(
+        (element) =>
+          !element.dotDotDotToken &&
+          (ts.isIdentifier(element.propertyName || element.name) ||
+            ts.isStringLiteral(element.propertyName || element.name))
+      )
+        ? pattern.elements.map(
+            (element) => (element.propertyName || element.name).text
+          )
+        : undefined;
+
+    let consumer = node.parent;
+    if (ts.isAwaitExpression(consumer)) consumer = consumer.parent;
+    while (ts.isParenthesizedExpression(consumer)) consumer = consumer.parent;
+
+    // const { a, b } = await import('./file')
+    if (
+      ts.isVariableDeclaration(consumer) &&
+      ts.isObjectBindingPattern(consumer.name)
+    ) {
+      return bindingNames(consumer.name);
+    }
+
+    // const mod = require('./file'); mod.a
+    if (ts.isVariableDeclaration(consumer) && ts.isIdentifier(consumer.name)) {
+      return this.getMembersReadFromVariable(consumer.name);
+    }
+
+    if (ts.isPropertyAccessExpression(consumer) && consumer.name.text !== 'then') {
+      // require('./file').a
+      return [consumer.name.text];
+    }
+
+    // import('./file').then(({ a }) => ...)
+    if (
+      ts.isPropertyAccessExpression(consumer) &&
+      ts.isCallExpression(consumer.parent)
+    ) {
+      const [callback] = consumer.parent.arguments;
+      const parameter =
+        callback && ts.isFunctionLike(callback) && callback.parameters[0];
+      if (parameter && ts.isObjectBindingPattern(parameter.name)) {
+        return bindingNames(parameter.name);
+      }
+    }
+
+    return undefined;
+  }
+
+  // Property names read from a variable, or undefined when it is also used
+  // in any other way
+  getMembersReadFromVariable(nameNode) {
+    const variable = this.checker.getSymbolAtLocation(nameNode);
+    const names = [];
+    let readWhole = false;
+
+    const visit = (node) => {
+      if (readWhole) return;
+      if (
+        ts.isIdentifier(node) &&
+        node !== nameNode &&
+        node.text === nameNode.text &&
+        this.checker.getSymbolAtLocation(node) === variable
+      ) {
+        if (
+          ts.isPropertyAccessExpression(node.parent) &&
+          node.parent.expression === node
+        ) {
+          names.push(node.parent.name.text);
+        } else {
+          readWhole = true;
+        }
+      }
+      ts.forEachChild(node, visit);
+    };
+
+    visit(nameNode.getSourceFile());
+    return readWhole ? undefined : names;
+  }
+
+  addImportBinding(nameNode, from, sourceFile) {
+    const alias = this.checker.getSymbolAtLocation(nameNode);
+    if (!alias) return;
+
+    this.importBindings.push({
+      name: nameNode.text,
+      type: 'import',
+      from,
+      file: sourceFile.fileName,
+      node: nameNode,
+      alias
+    });
+  }
+
+  // Files unchanged since the last run replay their cached usage facts, the
+  // others are walked and their facts recorded for the next run
+  collectUsages(sourceFile) {
+    if (!this.cache) {
+      this.findUsages(sourceFile);
+      return;
+    }
+
+    const facts = this.cache.getFacts(sourceFile.fileName);
+    if (facts && this.replayFacts(facts, sourceFile)) return;
+
+    this.recording = new Map();
+    this.findUsages(sourceFile);
+    const recorded = Array.from(this.recording.values());
+    this.recording = null;
+
+    const declarationFiles = new Set();
+    recorded.forEach(([, id]) => {
+      const file = id.slice(0, id.lastIndexOf('#'));
+      if (file !== sourceFile.fileName) declarationFiles.add(file);
+    });
+    this.cache.setFacts(sourceFile.fileName, recorded, declarationFiles);
+  }
+
+  // Symbols findings can be about get an id made of the position of their
+  // declaration, usages of anything else don't need to be cached
+  registerSymbolIds() {
+    const register = (symbol) => {
+      const [declaration] = symbol.declarations || [];
+      if (!declaration) return;
+
+      const file = declaration.getSourceFile().fileName;
+      const id = `${file}#${declaration.pos}:${declaration.kind}`;
+      this.symbolIds.set(symbol, id);
+      this.symbolsById.set(id, symbol);
+    };
+
+    this.declarations.forEach((declaration, symbol) => register(symbol));
+    this.importBindings.forEach(({ alias }) => register(alias));
+  }
+
+  recordFact(type, symbol, ...details) {
+    const id = this.recording && this.symbolIds.get(symbol);
+    if (!id) return;
+
+    const fact = [type, id, ...details];
+    this.recording.set(JSON.stringify(fact), fact);
+  }
+
+  // False when a symbol is gone, the file is walked again then
+  replayFacts(facts, sourceFile) {
+    const lookup = (id) => (id === null ? null : this.symbolsById.get(id));
+    const resolved = facts.map(([type, id, ...details]) =>
+      type === 'usage'
+        ? [type, lookup(id), lookup(details[0])]
+        : [type, lookup(id), ...details]
+    );
+    if (resolved.some((fact) => fact.includes(undefined))) return false;
+
+    resolved.forEach(([type, symbol, ...details]) => {
+      if (type === 'usage') {
+        this.currentOwner = details[0];
+        this.addUsage(symbol, sourceFile);
+      } else if (type === 'whole') {
+        this.wholeUsages.add(symbol);
+      } else if (type === 'alias') {
+        this.referencedAliases.add(symbol);
+      } else if (type === 'value') {
+        this.valueUsages.add(symbol);
+      } else if (type === 'valueAlias') {
+        this.valueAliases.add(symbol);
+      } else if (type === 'import') {
+        const [name, from, importType] = details;
+        if (!this.imports.has(symbol)) {
+          this.imports.set(symbol, []);
+        }
+        this.imports
+          .get(symbol)
+          .push({ name, from, file: sourceFile.fileName, type: importType });
+      }
+    });
+    this.currentOwner = null;
+    return true;
+  }
+
+  findUsages(sourceFile) {
+    let usageCount = 0;
+
+    const visit = (node) => {
+      try {
+        // Skip declaration contexts
+        if (this.isDeclarationContext(node)) {
+          this.trackLocalExportReferences(node);
+          return;
+        }
+
+        // Identifier references, including type references, JSX tags and
+        // `#private` member accesses
+        if (ts.isIdentifier(node) || ts.isPrivateIdentifier(node)) {
+          const referenced = this.getReferencedSymbol(node);
+          const symbol = referenced && this.resolveSymbol(referenced);
+          if (symbol) {
+            if (referenced.flags & ts.SymbolFlags.Alias) {
+              this.referencedAliases.add(referenced);
+              this.recordFact('alias', referenced);
+            }
+
+            this.addUsage(symbol, sourceFile);
+            usageCount++;
+
+            // Type positions only need the declaration, not the value
+            if (!isTypePosition(node) || this.isEmittedAsMetadata(node)) {
+              this.addValueUsage(symbol);
+              if (referenced.flags & ts.SymbolFlags.Alias) {
+                this.valueAliases.add(referenced);
+                this.recordFact('valueAlias', referenced);
+              }
+            }
+
+            if (this.isWholeUsage(node, symbol)) {
+              this.wholeUsages.add(symbol);
+              this.recordFact('whole', symbol);
+            }
+
+            // `ns` passed around instead of `ns.member`
+            if (this.isModuleSymbol(symbol) && !this.isMemberAccess(node)) {
+              this.addModuleUsage(symbol, sourceFile);
+            }
+
+            if (this.debug && usageCount < 10) {
+              this.logger.log(
+                `🔗 Usage: ${node.text} in ${path.basename(sourceFile.fileName)}`
+              );
+            }
+          }
+        }
+
+        // import('./file') and require('./file')
+        if (
+          ts.isCallExpression(node) &&
+          (node.expression.kind === ts.SyntaxKind.ImportKeyword ||
+            (ts.isIdentifier(node.expression) &&
+              node.expression.text === 'require')) &&
+          node.arguments.length > 0 &&
+          ts.isStringLiteralLike(node.arguments[0])
+        ) {
+          this.trackModuleCall(node, sourceFile);
+        }
+
+        // obj['member']
+        if (
+          ts.isElementAccessExpression(node) &&
+          ts.isStringLiteralLike(node.argumentExpression)
+        ) {
+          const symbol = this.getSymbol(node.argumentExpression);
+          if (symbol) this.addUsage(symbol, sourceFile);
+        }
+
+        // const { member } = obj
+        if (
+          ts.isBindingElement(node) &&
+          ts.isObjectBindingPattern(node.parent) &&
+          !(ts.isIdentifier(node.name) && this.isRequireAlias(node.name))
+        ) {
+          const propertyName = node.propertyName || node.name;
+          if (ts.isIdentifier(propertyName) || ts.isStringLiteral(propertyName)) {
+            const type = this.checker.getTypeAtLocation(node.parent);
+            const property = type && type.getProperty(propertyName.text);
+            if (property) this.addUsage(property, sourceFile);
+          }
+        }
+
+        const owner = this.ownerNodes.get(node);
+        const previousOwner = this.currentOwner;
+        if (owner) this.currentOwner = owner;
+        ts.forEachChild(node, visit);
+        this.currentOwner = previousOwner;
+      } catch (error) {
+        this.logger.warn(
+          `⚠️ Error processing usage in ${sourceFile.fileName}:`,
+          error
+        );
+      }
+    };
+
+    this.currentOwner = null;
+    visit(sourceFile);
+  }
+
+  // `export { foo }` and `export default foo` re-export a local name, which
+  // keeps an import of that name alive
+  trackLocalExportReferences(node) {
+    if (
+      ts.isExportDeclaration(node) &&
+      !node.moduleSpecifier &&
+      node.exportClause &&
+      ts.isNamedExports(node.exportClause)
+    ) {
+      node.exportClause.elements.forEach((element) => {
+        const local = this.checker.getExportSpecifierLocalTargetSymbol(element);
+        if (local && local.flags & ts.SymbolFlags.Alias) {
+          this.referencedAliases.add(local);
+          this.recordFact('alias', local);
+          // Re-exporting a type needs `export type`, so it counts as a value
+          this.valueAliases.add(local);
+          this.recordFact('valueAlias', local);
+
+          const target = this.resolveSymbol(local);
+          if (this.isModuleSymbol(target)) {
+            this.addModuleUsage(target, node.getSourceFile());
+          }
+        }
+      });
+    }
+
+    // module.exports = local and module.exports = { local, name: local }
+    const commonJsLocal =
+      (ts.isShorthandPropertyAssignment(node) &&
+        this.checker.getShorthandAssignmentValueSymbol(node)) ||
+      (ts.isPropertyAssignment(node) &&
+        this.checker.getSymbolAtLocation(node.initializer)) ||
+      (ts.isIdentifier(node) &&
+        isCommonJsExportAssignment(node.parent) &&
+        this.checker.getSymbolAtLocation(node));
+    if (commonJsLocal && commonJsLocal.flags & ts.SymbolFlags.Alias) {
+      this.referencedAliases.add(commonJsLocal);
+      this.recordFact('alias', commonJsLocal);
+      this.valueAliases.add(commonJsLocal);
+      this.recordFact('valueAlias', commonJsLocal);
+    }
+
+    if (ts.isExportAssignment(node) && ts.isIdentifier(node.expression)) {
+      const local = this.checker.getSymbolAtLocation(node.expression);
+      if (local && local.flags & ts.SymbolFlags.Alias) {
+        this.referencedAliases.add(local);
+        this.recordFact('alias', local);
+        this.valueAliases.add(local);
+        this.recordFact('valueAlias', local);
+      }
+    }
+  }
+
+  // With emitDecoratorMetadata the types in decorated classes are emitted as
+  // values, which is how dependency injection finds constructor arguments
+  isEmittedAsMetadata(node) {
+    if (!this.program.getCompilerOptions().emitDecoratorMetadata) return false;
+
+    const classNode = ts.findAncestor(node, ts.isClassLike);
+    return (
+      Boolean(classNode) &&
+      [classNode, ...classNode.members].some(
+        (member) => getDecoratorNames(member).length > 0
+      )
+    );
+  }
+
+  addUsage(symbol, sourceFile) {
+    this.getDeclaredSymbols(symbol).forEach((declared) => {
+      // Library symbols are never reported, so their usages don't matter
+      if (!this.declarations.has(declared)) return;
+
+      if (!this.usages.has(declared)) {
+        this.usages.set(declared, new Set());
+      }
+      this.usages.get(declared).add(sourceFile.fileName);
+      this.recordFact(
+        'usage',
+        declared,
+        this.currentOwner ? this.symbolIds.get(this.currentOwner) : null
+      );
+
+      // Remember who uses it, so liveness can be propagated from the roots
+      if (this.currentOwner) {
+        if (this.currentOwner === declared) return;
+        if (!this.references.has(this.currentOwner)) {
+          this.references.set(this.currentOwner, new Set());
+        }
+        this.references.get(this.currentOwner).add(declared);
+      } else {
+        if (!this.topLevelUsages.has(declared)) {
+          this.topLevelUsages.set(declared, new Set());
+        }
+        this.topLevelUsages.get(declared).add(sourceFile.fileName);
+      }
+    });
+  }
+
+  addValueUsage(symbol) {
+    this.valueUsages.add(symbol);
+    this.recordFact('value', symbol);
+  }
+
+  // Members of instantiated generics, unions and mapped types are transient
+  // symbols; map them back to the symbols of the members that declare them
+  getDeclaredSymbols(symbol) {
+    if (!(symbol.flags & ts.SymbolFlags.Transient) || !symbol.declarations) {
+      return [symbol];
+    }
+
+    const declared = symbol.declarations
+      .map((declaration) => ts.getNameOfDeclaration(declaration))
+      .map((name) => name && this.checker.getSymbolAtLocation(name))
+      .filter(Boolean);
+    return declared.length > 0 ? declared : [symbol];
+  }
+
+  isMemberAccess(node) {
+    const parent = node.parent;
+    return (
+      (ts.isPropertyAccessExpression(parent) && parent.expression === node) ||
+      (ts.isQualifiedName(parent) && parent.left === node)
+    );
+  }
+
+  // An enum used as a value other than `Enum.Member`, or a type used with
+  // `keyof` or an indexed access, may have any of its members reached
+  isWholeUsage(node, symbol) {
+    const parent = node.parent;
+
+    if (symbol.flags & ts.SymbolFlags.Enum) {
+      return !(this.isMemberAccess(node) || ts.isTypeReferenceNode(parent));
+    }
+
+    if (symbol.flags & (ts.SymbolFlags.Interface | ts.SymbolFlags.TypeAlias)) {
+      const context = ts.isTypeReferenceNode(parent) ? parent.parent : undefined;
+      return Boolean(
+        context &&
+        ((ts.isTypeOperatorNode(context) &&
+          context.operator === ts.SyntaxKind.KeyOfKeyword) ||
+          ts.isIndexedAccessTypeNode(context))
+      );
+    }
+
+    return false;
+  }
+
+  trackExports(sourceFile) {
+    const moduleSymbol = this.getFileModuleSymbol(sourceFile);
+    if (!moduleSymbol) return;
+
+    // The checker already knows every export form (modifiers, export lists,
+    // export default, export =), so ask it instead of pattern matching the AST
+    this.getModuleExports(moduleSymbol).forEach((exportSymbol) => {
+      const symbol = this.resolveSymbol(exportSymbol);
+      const declaration = this.declarations.get(symbol);
+
+      // Re-exported symbols are tracked in the file that declares them
+      if (!declaration || declaration.file !== sourceFile.fileName) return;
+
+      this.exports.set(symbol, {
+        name: exportSymbol.name,
+        file: sourceFile.fileName,
+        type:
+          exportSymbol.name === 'default' ||
+          exportSymbol.name === ts.InternalSymbolName.ExportEquals
+            ? 'default'
+            : 'named'
+      });
+
+      if (this.debug) {
+        this.logger.log(
+          `📤 Export: ${declaration.name}${
+            exportSymbol.name === declaration.name ? '' : ` as ${exportSymbol.name}`
+          } from ${path.basename(sourceFile.fileName)}`
+        );
+      }
+    });
+  }
+
+  // Export symbols of a module, with the target of `export =` included
+  getModuleExports(moduleSymbol) {
+    const exportSymbols = this.checker.getExportsOfModule(moduleSymbol);
+    const exportEquals =
+      moduleSymbol.exports &&
+      moduleSymbol.exports.get(ts.InternalSymbolName.ExportEquals);
+
+    if (!exportEquals) return exportSymbols;
+
+    // module.exports = { ... } exports every property of the object
+    const exportsObject = (exportEquals.declarations || [])
+      .map((declaration) => ts.isBinaryExpression(declaration) && declaration.right)
+      .find(isCommonJsExportsObject);
+    const properties = exportsObject
+      ? exportsObject.properties
+          .map(
+            (property) =>
+              property.name && this.checker.getSymbolAtLocation(property.name)
+          )
+          .filter(Boolean)
+      : [];
+
+    return [...exportSymbols, ...properties, exportEquals];
+  }
+
+  isModuleSymbol(symbol) {
+    return Boolean(
+      symbol.flags & ts.SymbolFlags.ValueModule &&
+      symbol.valueDeclaration &&
+      ts.isSourceFile(symbol.valueDeclaration)
+    );
+  }
+
+  getModuleSymbol(specifier, sourceFile) {
+    const fileName = this.moduleGraph.resolveModule(specifier, sourceFile);
+    const targetFile = fileName && this.program.getSourceFile(fileName);
+    return targetFile && this.getFileModuleSymbol(targetFile);
+  }
+
+  // Marks every export of a module as used, for namespaces passed around whole
+  addModuleUsage(moduleSymbol, sourceFile) {
+    this.getModuleExports(moduleSymbol).forEach((exportSymbol) => {
+      const symbol = this.resolveSymbol(exportSymbol);
+      this.addUsage(symbol, sourceFile);
+      this.addValueUsage(symbol);
+    });
+  }
+
+  isDeclarationContext(node) {
+    // Imports and exports are tracked separately, they are not usages
+    if (
+      ts.isImportDeclaration(node) ||
+      ts.isImportEqualsDeclaration(node) ||
+      ts.isExportDeclaration(node)
+    ) {
+      return true;
+    }
+    if (ts.isExportAssignment(node) && ts.isIdentifier(node.expression)) return true;
+    // The names exported by `exports.foo = ...` and `module.exports = foo`
+    if (
+      ts.isPropertyAccessExpression(node) &&
+      ts.isBinaryExpression(node.parent) &&
+      node.parent.left === node &&
+      isCommonJsExportAssignment(node.parent)
+    ) {
+      return true;
+    }
+    if (
+      ts.isIdentifier(node) &&
+      ts.isBinaryExpression(node.parent) &&
+      node.parent.right === node &&
+      isCommonJsExportAssignment(node.parent)
+    ) {
+      return true;
+    }
+
+    const parent = node.parent;
+    if (!parent) return false;
+
+    // Destructuring patterns are visited for the properties they read and
+    // their defaults, only the names they bind are declarations
+    if (ts.isVariableDeclaration(parent) && parent.name === node) {
+      return ts.isIdentifier(node);
+    }
+    if (ts.isBindingElement(parent) && parent.name === node) {
+      return ts.isIdentifier(node);
+    }
+    if (ts.isFunctionDeclaration(parent) && parent.name === node) return true;
+    if (ts.isClassDeclaration(parent) && parent.name === node) return true;
+    if (ts.isInterfaceDeclaration(parent) && parent.name === node) return true;
+    if (ts.isTypeAliasDeclaration(parent) && parent.name === node) return true;
+    if (ts.isEnumDeclaration(parent) && parent.name === node) return true;
+    if (ts.isParameter(parent) && parent.name === node) {
+      return ts.isIdentifier(node);
+    }
+    if (ts.isModuleDeclaration(parent) && parent.name === node) return true;
+    if (ts.isPropertyDeclaration(parent) && parent.name === node) return true;
+    if (ts.isMethodDeclaration(parent) && parent.name === node) return true;
+    if (ts.isPropertySignature(parent) && parent.name === node) return true;
+    if (ts.isMethodSignature(parent) && parent.name === node) return true;
+    if (ts.isGetAccessor(parent) && parent.name === node) return true;
+    if (ts.isSetAccessor(parent) && parent.name === node) return true;
+    if (ts.isEnumMember(parent) && parent.name === node) return true;
+    if (ts.isImportSpecifier(parent) && parent.name === node) return true;
+    // `{ a, b: c }` assigned to module.exports names exports, not usages
+    if (isCommonJsExportsObject(parent)) {
+      return (
+        ts.isShorthandPropertyAssignment(node) ||
+        (ts.isPropertyAssignment(node) && ts.isIdentifier(node.initializer))
+      );
+    }
+
+    return false;
+  }
+
+  // Members that are used without a reference we could see, as long as
+  // their container is alive
+  isMemberImplicitlyUsed(declaration) {
+    if (this.wholeUsages.has(declaration.container)) return true;
+    if (declaration.overrides || this.isInBuiltinTypes(declaration.name)) {
+      return true;
+    }
+    // Frameworks call the members of the classes they manage
+    if (this.pluginUsedSymbols.has(declaration.container)) return true;
+    const memberName = declaration.name.slice(declaration.name.indexOf('.') + 1);
+    if (
+      this.getPlugins(this.workspace.getProject(declaration.file)).some(
+        (plugin) => plugin.members && plugin.members.includes(memberName)
+      )
+    ) {
+      return true;
+    }
+
+    // Public members of public API, and of the types its signatures expose,
+    // may be used by external consumers
+    return (
+      !declaration.isPrivate &&
+      (this.publicSymbols.has(declaration.container) ||
+        this.leakedTypes.has(declaration.container))
+    );
+  }
+
+  // Breadth-first walk over the references between declarations, starting
+  // from the public API, top level code of modules reachable from the entry
+  // points and declarations kept by a JSDoc tag or builtin name
+  // Code in tests and stories is live for the symbols it uses as well, but is
+  // only followed when includeNonProduction is set
+  findLiveSymbols(includeNonProduction) {
+    const live = new Set();
+    const queue = [];
+    const markLive = (symbol) => {
+      if (live.has(symbol)) return;
+      live.add(symbol);
+      queue.push(symbol);
+    };
+
+    const nonProductionFiles = this.getNonProductionFiles();
+    const rootFiles = [...this.entryFiles, ...this.getPluginRootFiles()];
+    const reachableFiles =
+      this.entryFiles.length > 0
+        ? this.moduleGraph.findReachable(
+            includeNonProduction ? [...rootFiles, ...nonProductionFiles] : rootFiles
+          )
+        : new Set(this.sourceFiles.map((sourceFile) => sourceFile.fileName));
+    const isRoot = (file) =>
+      reachableFiles.has(file) &&
+      (includeNonProduction || !nonProductionFiles.includes(file));
+    this.topLevelUsages.forEach((files, symbol) => {
+      if (Array.from(files).some(isRoot)) markLive(symbol);
+    });
+    this.publicSymbols.forEach(markLive);
+    this.leakedTypes.forEach((apiName, symbol) => markLive(symbol));
+
+    const membersByContainer = new Map();
+    this.declarations.forEach((declaration, symbol) => {
+      if (declaration.container) {
+        if (!membersByContainer.has(declaration.container)) {
+          membersByContainer.set(declaration.container, []);
+        }
+        membersByContainer.get(declaration.container).push([symbol, declaration]);
+      }
+
+      const isUntrackedContainer =
+        declaration.container && !this.declarations.has(declaration.container);
+      // Runners pick up the exports of stories and tests by themselves
+      const isRunnerExport =
+        includeNonProduction &&
+        this.exports.has(symbol) &&
+        this.isNonProductionFile(declaration.file);
+      // Conventions in tests and stories keep code alive for tests only
+      const isPluginRoot =
+        this.pluginUsedSymbols.has(symbol) &&
+        (includeNonProduction || !this.isNonProductionFile(declaration.file));
+      if (
+        getKeepTag(declaration.node) ||
+        isRunnerExport ||
+        isPluginRoot ||
+        (!declaration.container && this.isInBuiltinTypes(declaration.name)) ||
+        (isUntrackedContainer && this.isMemberImplicitlyUsed(declaration))
+      ) {
+        markLive(symbol);
+      }
+    });
+
+    while (queue.length > 0) {
+      const symbol = queue.shift();
+      (this.references.get(symbol) || []).forEach(markLive);
+      (membersByContainer.get(symbol) || []).forEach(([member, declaration]) => {
+        if (this.isMemberImplicitlyUsed(declaration)) markLive(member);
+      });
+    }
+
+    return live;
+  }
+
+  // The outermost dead declaration enclosing a dead symbol, which is the one
+  // that gets reported: the class of a member, the function of a local
+  getDeadOwner(symbol) {
+    const declaration = this.declarations.get(symbol);
+    let deadOwner = symbol;
+    for (
+      let node = declaration && declaration.node.parent;
+      node;
+      node = node.parent
+    ) {
+      const owner = this.ownerNodes.get(node);
+      if (owner && !this.liveSymbols.has(owner)) deadOwner = owner;
+    }
+    return deadOwner;
+  }
+
+  // Test helpers and stories are expected to be used by tests and runners only
+  isLiveTestCode(symbol, declaration) {
+    return (
+      this.testLiveSymbols.has(symbol) && this.isNonProductionFile(declaration.file)
+    );
+  }
+
+  // Tests and stories referencing or importing the symbol directly
+  getNonProductionConsumers(symbol) {
+    const files = new Set([
+      ...(this.usages.get(symbol) || []),
+      ...(this.imports.get(symbol) || []).map((importInfo) => importInfo.file)
+    ]);
+    return Array.from(files)
+      .filter((file) => this.isNonProductionFile(file))
+      .sort();
+  }
+
+  // The dead declarations, unreachable modules and unused imports that still
+  // reference a symbol which is not live
+  getKeptAliveBy(symbol) {
+    const keptAliveBy = [];
+    const owners = new Set();
+    this.references.forEach((targets, owner) => {
+      if (targets.has(symbol) && !this.liveSymbols.has(owner)) {
+        owners.add(this.getDeadOwner(owner));
+      }
+    });
+    owners.forEach((owner) => {
+      const declaration = this.declarations.get(owner);
+      if (!declaration || owner === symbol) return;
+      const { name, type, file, line } = this.createFinding(declaration, {});
+      keptAliveBy.push({ name, type, file, line });
+    });
+
+    (this.topLevelUsages.get(symbol) || []).forEach((file) => {
+      keptAliveBy.push({ name: path.basename(file), type: 'file', file, line: 1 });
+    });
+
+    if (keptAliveBy.length === 0) {
+      // Nothing references it, only imports that are never used
+      this.importBindings
+        .filter(
+          (binding) =>
+            !this.referencedAliases.has(binding.alias) &&
+            this.resolveSymbol(binding.alias) === symbol
+        )
+        .forEach((binding) => {
+          const { name, file, line } = this.createFinding(binding, {});
+          keptAliveBy.push({ name, type: 'import', file, line });
+        });
+    }
+
+    return keptAliveBy;
+  }
+
+  // Code after return and throw and branches that never run, except inside
+  // declarations that are reported as unused as a whole
+  findUnreachableCode(unusedSymbols) {
+    const findings = [];
+
+    this.sourceFiles.forEach((sourceFile) => {
+      findUnreachableCode(sourceFile, this.constants).forEach(
+        ({ node, name, reason }) => {
+          const isInsideUnused = ts.findAncestor(node, (ancestor) =>
+            unusedSymbols.has(this.ownerNodes.get(ancestor))
+          );
+          if (isInsideUnused) return;
+
+          findings.push(
+            this.createFinding({ node, name, type: 'unreachable' }, { reason })
+          );
+        }
+      );
+    });
+
+    return findings;
+  }
+
+  isFollowedByUsedParameter(parameter) {
+    if (!ts.isParameter(parameter)) return false;
+
+    const { parameters } = parameter.parent;
+    return parameters.slice(parameters.indexOf(parameter) + 1).some((later) => {
+      // Destructured parameters keep their place whatever they bind and `_`
+      // prefixed ones are never declared
+      if (!ts.isIdentifier(later.name) || later.name.text.startsWith('_')) {
+        return true;
+      }
+      const symbol = this.checker.getSymbolAtLocation(later.name);
+      return Boolean(symbol && this.usages.has(symbol));
+    });
+  }
+
+  getLocalUnusedReason(declaration) {
+    if (declaration.type === 'parameter') {
+      return 'Parameter is never used';
+    }
+    return 'Local declaration is never used';
+  }
+
+  getMemberUnusedReason(declaration) {
+    if (declaration.isPrivate) {
+      return 'Private member is never used';
+    }
+    if (declaration.type === 'enumMember') {
+      return 'Enum member is never used';
+    }
+    return 'Member is never used and its container is not public API';
+  }
+
+  isSymbolImported(symbol, fromFile) {
+    // Check if any other file imports this symbol, under whatever local name
+    const importSites = this.imports.get(symbol) || [];
+    return importSites.some((importInfo) => importInfo.file !== fromFile);
+  }
+
+  findUnreachableFiles() {
+    const { entryFiles } = this;
+    if (entryFiles.length === 0) {
+      this.logger.log(
+        '⚠️ No entry points found, skipping unreachable file detection'
+      );
+      return [];
+    }
+
+    // Tests and stories are entry points of their own runners, and files
+    // with declarations a framework uses are loaded by the framework
+    return this.moduleGraph
+      .findUnreachable([
+        ...entryFiles,
+        ...this.getNonProductionFiles(),
+        ...this.getPluginRootFiles()
+      ])
+      .map(({ file, importers, chain }) => ({
+        name: path.basename(file),
+        type: 'file',
+        file,
+        line: 1,
+        exported: false,
+        reason:
+          importers.length === 0
+            ? 'File is never imported from an entry point'
+            : 'File is only imported by unreachable files',
+        chain
+      }));
+  }
+
+  findUnusedImports() {
+    const jsxFactory = this.getJsxFactory();
+
+    return this.importBindings
+      .filter(({ alias }) => !this.referencedAliases.has(alias))
+      .filter(({ name, node }) => {
+        // The classic JSX transform references the factory implicitly
+        const sourceFile = node.getSourceFile();
+        return !(
+          jsxFactory === name &&
+          sourceFile.languageVariant === ts.LanguageVariant.JSX
+        );
+      })
+      .map((binding) =>
+        this.createFinding(binding, {
+          exported: false,
+          reason: `Imported from '${binding.from}' but never used in this file`
+        })
+      );
+  }
+
+  // Classes and enums that live code uses, but never as a value: no `new`, no
+  // member access, no `extends`. They could be types, which cost no bundle size.
+  // Consumers of the public API may use them as values, so it is not checked.
+  findTypeOnlyValues() {
+    const found = [];
+
+    this.declarations.forEach((declaration, symbol) => {
+      if (declaration.type !== 'class' && declaration.type !== 'enum') return;
+      if (!this.liveSymbols.has(symbol) || this.valueUsages.has(symbol)) return;
+      if (!this.usages.has(symbol)) return;
+      if (
+        this.publicSymbols.has(symbol) ||
+        this.pluginUsedSymbols.has(symbol) ||
+        this.isInBuiltinTypes(declaration.name)
+      ) {
+        return;
+      }
+      // Ambient classes exist at runtime anyway, namespaces merged in add
+      // values, and decorators run when the class is defined
+      const nodes = declaration.nodes || [declaration.node];
+      if (
+        nodes.some(
+          (node) =>
+            ts.isModuleDeclaration(node) ||
+            this.hasModifier(node, ts.SyntaxKind.DeclareKeyword) ||
+            getDecoratorNames(node).length > 0
+        )
+      ) {
+        return;
+      }
+
+      found.push(
+        this.createFinding(declaration, {
+          type: 'typeOnly',
+          kind: declaration.type,
+          exported: this.exports.has(symbol),
+          reason:
+            declaration.type === 'class'
+              ? 'Only used as a type, an interface would do'
+              : 'Only used as a type, a union of literal types would do'
+        })
+      );
+    });
+
+    return found;
+  }
+
+  // Imports of values that are only used in type positions. Under
+  // verbatimModuleSyntax they are kept in the output unless marked
+  // `import type`.
+  findTypeOnlyImports() {
+    const jsxFactory = this.getJsxFactory();
+
+    return this.importBindings
+      .filter(
+        ({ alias }) =>
+          this.referencedAliases.has(alias) && !this.valueAliases.has(alias)
+      )
+      .filter(({ name, node }) => {
+        const sourceFile = node.getSourceFile();
+        if (node.flags & ts.NodeFlags.JavaScriptFile) return false;
+        if (
+          jsxFactory === name &&
+          sourceFile.languageVariant === ts.LanguageVariant.JSX
+        ) {
+          return false;
+        }
+        // require() and `import x = require()` have no type-only form here
+        const importDeclaration = ts.findAncestor(node, ts.isImportDeclaration);
+        if (!importDeclaration || importDeclaration.importClause.isTypeOnly) {
+          return false;
+        }
+        return !(ts.isImportSpecifier(node.parent) && node.parent.isTypeOnly);
+      })
+      .filter(({ alias }) => {
+        // Importing a type or interface is fine already
+        const target = this.checker.getAliasedSymbol(alias);
+        return Boolean(target.flags & ts.SymbolFlags.Value);
+      })
+      .map((binding) =>
+        this.createFinding(binding, {
+          type: 'typeImport',
+          exported: false,
+          reason: `Only used as a type, import it from '${binding.from}' with \`import type\``
+        })
+      );
+  }
+
+  findLeakedTypes() {
+    return Array.from(this.leakedTypes).map(([symbol, apiName]) => {
+      const declaration = this.declarations.get(symbol);
+      return this.createFinding(declaration, {
+        type: 'leakedType',
+        kind: declaration.type,
+        exported: this.exports.has(symbol),
+        reason: `Part of the public API through ${apiName} but not exported from an entry point`
+      });
+    });
+  }
+
+  // Types that the signatures of the public API mention, but that no entry
+  // point exports: consumers get values of these types without being able to
+  // name them. The types they mention in turn leak as well.
+  collectLeakedTypes() {
+    const leakedBy = new Map();
+    const queue = Array.from(this.publicSymbols).map((symbol) => [
+      symbol,
+      symbol.getName()
+    ]);
+
+    while (queue.length > 0) {
+      const [symbol, apiName] = queue.shift();
+      (symbol.declarations || [])
+        .filter((node) => this.sourceFiles.includes(node.getSourceFile()))
+        .forEach((node) => {
+          this.getSignatureTypes(node).forEach((referenced) => {
+            if (this.publicSymbols.has(referenced) || leakedBy.has(referenced)) {
+              return;
+            }
+            const declaration = this.declarations.get(referenced);
+            if (
+              !declaration ||
+              declaration.container ||
+              !['class', 'interface', 'type', 'enum'].includes(declaration.type) ||
+              isInsideFunction(declaration.node)
+            ) {
+              return;
+            }
+
+            leakedBy.set(referenced, apiName);
+            queue.push([referenced, apiName]);
+          });
+        });
+    }
+
+    return leakedBy;
+  }
+
+  // The symbols of the types a declaration shows to its users: written in its
+  // annotations and heritage clauses, or inferred by the checker where there
+  // is no annotation. Bodies, initializers and private members stay hidden.
+  getSignatureTypes(declarationNode) {
+    const found = new Set();
+    const seenTypes = new Set();
+
+    const addType = (type, depth) => {
+      if (depth > 2 || seenTypes.has(type)) return;
+      seenTypes.add(type);
+
+      const symbol = type.aliasSymbol || type.getSymbol();
+      if (symbol) found.add(this.resolveSymbol(symbol));
+      const typeArguments =
+        type.aliasTypeArguments ||
+        (type.flags & ts.TypeFlags.Object &&
+        type.objectFlags & ts.ObjectFlags.Reference
+          ? this.checker.getTypeArguments(type)
+          : []);
+      typeArguments.forEach((argument) => addType(argument, depth + 1));
+      if (type.isUnionOrIntersection()) {
+        type.types.forEach((member) => addType(member, depth + 1));
+      }
+    };
+
+    const addInferredType = (node) => {
+      if (ts.isFunctionLike(node) && !node.type) {
+        const signature = this.checker.getSignatureFromDeclaration(node);
+        if (signature) addType(this.checker.getReturnTypeOfSignature(signature), 0);
+      } else if (
+        (ts.isVariableDeclaration(node) || ts.isPropertyDeclaration(node)) &&
+        !node.type &&
+        node.initializer
+      ) {
+        if (
+          ts.isArrowFunction(node.initializer) ||
+          ts.isFunctionExpression(node.initializer)
+        ) {
+          visit(node.initializer);
+        } else {
+          addType(this.checker.getTypeAtLocation(node.name), 0);
+        }
+      }
+    };
+
+    const visit = (node) => {
+      if (
+        ts.isClassElement(node) &&
+        (this.hasModifier(node, ts.SyntaxKind.PrivateKeyword) ||
+          (node.name && ts.isPrivateIdentifier(node.name)))
+      ) {
+        return;
+      }
+      if (ts.isTypeReferenceNode(node) || ts.isExpressionWithTypeArguments(node)) {
+        const name = ts.isTypeReferenceNode(node) ? node.typeName : node.expression;
+        const symbol = this.checker.getSymbolAtLocation(name);
+        if (symbol) found.add(this.resolveSymbol(symbol));
+      }
+      // `typeof value` points at a value, which is exported or not on its own
+      if (ts.isTypeQueryNode(node)) return;
+
+      addInferredType(node);
+      ts.forEachChild(node, (child) => {
+        const isHidden =
+          child === node.body ||
+          (child === node.initializer && !ts.isParameter(node)) ||
+          ts.isDecorator(child);
+        if (!isHidden) visit(child);
+      });
+    };
+
+    visit(declarationNode);
+    return found;
+  }
+
+  getJsxFactory() {
+    const options = this.program.getCompilerOptions();
+    if (options.jsx !== ts.JsxEmit.React) return undefined;
+    return (options.jsxFactory || 'React.createElement').split('.')[0];
+  }
+
+  // Every package.json is compared with the imports of its own files only
+  findDependencyIssues() {
+    const packages = new Map();
+    this.workspace.projects.forEach((project) => {
+      if (!project.packageJsonPath) return;
+      if (!packages.has(project.packageJsonPath)) {
+        packages.set(project.packageJsonPath, []);
+      }
+      packages.get(project.packageJsonPath).push(project);
+    });
+
+    return Array.from(packages).flatMap(([packageJsonPath, projects]) => {
+      const externalImports = new Map();
+      this.moduleGraph.externalImports.forEach((specifiers, name) => {
+        const ownSpecifiers = specifiers.filter((specifier) =>
+          projects.includes(
+            this.workspace.getProject(specifier.getSourceFile().fileName)
+          )
+        );
+        if (ownSpecifiers.length > 0) externalImports.set(name, ownSpecifiers);
+      });
+
+      const plugins = this.getPlugins(projects[0]);
+      return findDependencyIssues(
+        packageJsonPath,
+        externalImports,
+        projects[0].options,
+        this.logger,
+        (name) => plugins.some((plugin) => isPluginDependency(plugin, name))
+      );
+    });
+  }
+
+  // Entry points are looked up per project, so every workspace package
+  // contributes its own public API
+  getEntryFiles() {
+    const entryFiles = this.workspace.projects.flatMap((project) => {
+      const fileNames = this.sourceFiles
+        .map((sourceFile) => sourceFile.fileName)
+        .filter((file) => this.workspace.getProject(file) === project);
+      const packageEntries = this.getPackageEntryPoints(project);
+
+      const declaredEntries = fileNames.filter(
+        (file) =>
+          matchesGlob(file, this.entryPatterns) ||
+          packageEntries.some((entry) => entry.test(file))
+      );
+      // Files frameworks load by themselves come on top of either
+      const pluginEntries = this.getPlugins(project).flatMap(
+        (plugin) => plugin.entries || []
+      );
+      const frameworkEntries = fileNames.filter((file) =>
+        matchesGlob(file, pluginEntries, project.dir)
+      );
+
+      // File names say nothing about what is public, an app.ts deep in a
+      // feature folder is judged by its imports like any other file
+      if (declaredEntries.length === 0 && frameworkEntries.length === 0) {
+        this.logger.warn(
+          `⚠️  No entry points found in ${project.name || project.dir}, declare them with package.json fields or --entry`
+        );
+      }
+      return Array.from(new Set([...declaredEntries, ...frameworkEntries]));
+    });
+
+    if (this.debug) {
+      entryFiles.forEach((file) => this.logger.log(`📍 Entry point: ${file}`));
+    }
+    return entryFiles;
+  }
+
+  // Source files behind the `main`, `module`, `types`, `bin` and `exports`
+  // fields of the project's package.json, as patterns to match against
+  getPackageEntryPoints(project) {
+    if (!project.packageJsonPath) return [];
+
+    const targets = [];
+    const collect = (value) => {
+      if (typeof value === 'string') {
+        targets.push(value);
+      } else if (value && typeof value === 'object') {
+        // Arrays, subpath maps and condition maps alike
+        Object.values(value).forEach(collect);
+      }
+    };
+    ['main', 'module', 'types', 'typings', 'bin', 'exports'].forEach((field) =>
+      collect(project.packageJson[field])
+    );
+
+    const packageDir = path.dirname(project.packageJsonPath);
+    return targets.flatMap((target) =>
+      this.workspace
+        .getSourceCandidates(path.resolve(packageDir, target))
+        .map((candidate) => this.toEntryPattern(candidate))
+    );
+  }
+
+  toEntryPattern(target) {
+    const stripped = target
+      .replace(/\\/g, '/')
+      .replace(/(\.d)?\.(ts|tsx|mts|cts|js|jsx|mjs|cjs)$/, '');
+    const extensions = '\\.(ts|tsx|mts|cts|js|jsx|mjs|cjs)';
+    // Subpath patterns like `./features/*` may span directories
+    const base = stripped.replace(/[.+?^$()|[\]{}\\]/g, '\\$&').replace(/\*/g, '.*');
+
+    return new RegExp(`^${base}(${extensions}|/index${extensions})$`);
+  }
+
+  collectPublicApi() {
+    this.entryFiles.forEach((file) => {
+      if (this.isNonProductionFile(file)) return;
+
+      const sourceFile = this.program.getSourceFile(file);
+      const moduleSymbol = sourceFile && this.getFileModuleSymbol(sourceFile);
+      if (!moduleSymbol) return;
+
+      // Includes everything re-exported through barrels
+      this.getModuleExports(moduleSymbol).forEach((exportSymbol) => {
+        this.publicSymbols.add(this.resolveSymbol(exportSymbol));
+      });
+    });
+  }
+
+  addEntryPoints(patterns) {
+    this.entryPatterns.push(...patterns);
+  }
+
+  // File globs and name patterns (`*` wildcards) whose findings are dropped
+  addIgnorePatterns({ files = [], names = [] }) {
+    this.ignorePatterns.files.push(...files);
+    this.ignorePatterns.names.push(...names);
+  }
+
+  // Expressions with a known value, e.g. `{ 'process.env.NODE_ENV': 'production' }`.
+  // Branches their conditions rule out are reported as unreachable.
+  defineConstants(constants) {
+    Object.assign(this.constants, constants);
+  }
+
+  // See plugins.js for what a plugin looks like
+  addPlugins(plugins) {
+    this.plugins.push(...plugins);
+    this.projectPlugins = new Map();
+    this.builtinNames = null;
+  }
+
+  // The plugins enabled by the dependencies of a project
+  getPlugins(project) {
+    if (!this.projectPlugins.has(project)) {
+      this.projectPlugins.set(
+        project,
+        this.plugins.filter((plugin) =>
+          isPluginEnabled(plugin, project && project.packageJson)
+        )
+      );
+    }
+    return this.projectPlugins.get(project);
+  }
+
+  // Declarations a plugin marks as used by their file, export name or
+  // decorators
+  findPluginUsedSymbols() {
+    const used = new Set();
+
+    this.declarations.forEach((declaration, symbol) => {
+      const project = this.workspace.getProject(declaration.file);
+      const plugins = this.getPlugins(project);
+      const exportInfo = this.exports.get(symbol);
+      const decorators = getDecoratorNames(declaration.node);
+      const info = {
+        name: declaration.name,
+        type: declaration.type,
+        file: declaration.file,
+        exportName: exportInfo && exportInfo.name,
+        decorators,
+        node: declaration.node
+      };
+
+      const isUsed = plugins.some(
+        (plugin) =>
+          (plugin.decorators || []).some((name) => decorators.includes(name)) ||
+          (exportInfo &&
+            (plugin.usedExports || []).some(
+              (rule) =>
+                rule.names.includes(exportInfo.name) &&
+                (!rule.files ||
+                  matchesGlob(declaration.file, rule.files, project && project.dir))
+            )) ||
+          (plugin.isUsed && plugin.isUsed(info))
+      );
+      if (isUsed) used.add(symbol);
+    });
+
+    if (used.size > 0) {
+      this.logger.log(`🧩 Plugins mark ${used.size} declarations as used`);
+    }
+    return used;
+  }
+
+  // Production files declaring something a framework uses
+  getPluginRootFiles() {
+    const files = new Set();
+    this.pluginUsedSymbols.forEach((symbol) => {
+      const { file } = this.declarations.get(symbol);
+      if (!this.isNonProductionFile(file)) files.add(file);
+    });
+    return Array.from(files);
+  }
+
+  // Globs of the files findings are reported in, all files when there are none
+  addIncludePatterns(patterns) {
+    this.includePatterns.push(...patterns);
+  }
+
+  isIncluded(file) {
+    return (
+      this.includePatterns.length === 0 || matchesGlob(file, this.includePatterns)
+    );
+  }
+
+  // Globs of test and story files, on top of the defaults
+  addNonProductionPatterns(patterns) {
+    this.nonProductionPatterns.push(...patterns);
+  }
+
+  isNonProductionFile(file) {
+    const project = this.workspace.getProject(file);
+    const pluginPatterns = this.getPlugins(project).flatMap(
+      (plugin) => plugin.nonProduction || []
+    );
+    return (
+      matchesGlob(file, defaultNonProductionPatterns, this.workspace.rootDir) ||
+      matchesGlob(file, this.nonProductionPatterns) ||
+      (project !== undefined && matchesGlob(file, pluginPatterns, project.dir))
+    );
+  }
+
+  getNonProductionFiles() {
+    return this.sourceFiles
+      .map((sourceFile) => sourceFile.fileName)
+      .filter((file) => this.isNonProductionFile(file));
+  }
+
+  getUnusedReason(isInternallyUsed, isImported, isExported, isPublicApi) {
+    if (!isInternallyUsed && !isImported && !isExported) {
+      return 'Not used anywhere and not exported';
+    }
+    if (!isInternallyUsed && !isImported && isExported && !isPublicApi) {
+      return 'Exported but never imported by any file';
+    }
+    if (!isInternallyUsed && !isImported && isExported && isPublicApi) {
+      return 'Exported from entry point but analysis incomplete';
+    }
+    return 'Unknown';
+  }
+
+  // Names provided by the platform or a framework, from the plugins of any
+  // project
+  isInBuiltinTypes(name) {
+    if (!this.builtinNames) {
+      const plugins = new Set(
+        this.workspace.projects.flatMap((project) => this.getPlugins(project))
+      );
+      this.builtinNames = new Set(
+        Array.from(plugins).flatMap((plugin) => plugin.builtins || [])
+      );
+    }
+    return this.builtinNames.has(name);
+  }
+
+  enableDebug() {
+    this.debug = true;
+    this.logger.log('🐛 Debug mode enabled');
+  }
+}
+
+function getLocation(node) {
+  const sourceFile = node.getSourceFile();
+  const { line } = sourceFile.getLineAndCharacterOfPosition(node.getStart());
+  const { line: endLine } = sourceFile.getLineAndCharacterOfPosition(node.getEnd());
+  return { file: sourceFile.fileName, line: line + 1, endLine: endLine + 1 };
+}
+
+function isInsideFunction(node) {
+  return Boolean(ts.findAncestor(node.parent, ts.isFunctionLike));
+}
+
+// `x: Foo`, `implements Foo` and interfaces extending Foo only need the type
+// Foo, while classes extending Foo and `typeof Foo` need its value
+function isTypePosition(node) {
+  let current = node;
+  while (
+    ts.isQualifiedName(current.parent) ||
+    (ts.isPropertyAccessExpression(current.parent) &&
+      current.parent.expression === current)
+  ) {
+    current = current.parent;
+  }
+
+  const { parent } = current;
+  if (ts.isExpressionWithTypeArguments(parent)) {
+    const clause = parent.parent;
+    return (
+      ts.isHeritageClause(clause) &&
+      (clause.token === ts.SyntaxKind.ImplementsKeyword ||
+        ts.isInterfaceDeclaration(clause.parent))
+    );
+  }
+  return ts.isTypeReferenceNode(parent) || ts.isImportTypeNode(parent);
+}
+
+// `@Component({...})`, `@Injectable()` and `@ng.Input` all count by their name
+function getDecoratorNames(node) {
+  const decorators = ts.canHaveDecorators(node) ? ts.getDecorators(node) || [] : [];
+  return decorators.map(({ expression }) => {
+    const callee = ts.isCallExpression(expression)
+      ? expression.expression
+      : expression;
+    if (ts.isPropertyAccessExpression(callee)) return callee.name.text;
+    return ts.isIdentifier(callee) ? callee.text : callee.getText();
+  });
+}
+
+// `module.exports` or `exports`, in JavaScript files
+function isModuleExportsReference(node) {
+  if (!(node.flags & ts.NodeFlags.JavaScriptFile)) return false;
+  if (ts.isIdentifier(node)) return node.text === 'exports';
+  return (
+    ts.isPropertyAccessExpression(node) &&
+    ts.isIdentifier(node.expression) &&
+    node.expression.text === 'module' &&
+    node.name.text === 'exports'
+  );
+}
+
+// `module.exports = ...`, `exports.foo = ...` or `module.exports.foo = ...`
+function isCommonJsExportAssignment(node) {
+  return Boolean(
+    node &&
+    ts.isBinaryExpression(node) &&
+    node.operatorToken.kind === ts.SyntaxKind.EqualsToken &&
+    (isModuleExportsReference(node.left) ||
+      (ts.isPropertyAccessExpression(node.left) &&
+        isModuleExportsReference(node.left.expression)))
+  );
+}
+
+// The `{ ... }` of `module.exports = { ... }`
+function isCommonJsExportsObject(node) {
+  return Boolean(
+    node &&
+    ts.isObjectLiteralExpression(node) &&
+    isCommonJsExportAssignment(node.parent) &&
+    node.parent.right === node &&
+    isModuleExportsReference(node.parent.left)
+  );
+}
+
+// Elements of a destructuring pattern that declare a name, nested patterns
+// included. Properties next to a `...rest` element are left out, as leaving
+// them out of the pattern would add them to the rest.
+function getBindingElements(pattern) {
+  const hasRest =
+    ts.isObjectBindingPattern(pattern) &&
+    pattern.elements.some((element) => element.dotDotDotToken);
+
+  return pattern.elements.flatMap((element) => {
+    if (ts.isOmittedExpression(element)) return [];
+    if (!ts.isIdentifier(element.name)) return getBindingElements(element.name);
+    return hasRest && !element.dotDotDotToken ? [] : [element];
+  });
+}
+
+// `x` of `const x = ...` and `a`, `b` of `const { a, b: b } = ...`
+function getBindingNames(name) {
+  if (ts.isIdentifier(name)) return [name];
+  if (!ts.isObjectBindingPattern(name)) return [];
+  return name.elements
+    .map((element) => element.name)
+    .filter((elementName) => ts.isIdentifier(elementName));
+}
+
+function getAssignedValueType(expression) {
+  if (ts.isArrowFunction(expression) || ts.isFunctionExpression(expression)) {
+    return 'function';
+  }
+  return ts.isClassExpression(expression) ? 'class' : 'variable';
+}
+
+// Library entry point. Nothing is printed or written: pass a logger (for
+// example `console`) to see the progress messages, or onProgress for the
+// start of every phase.
+function analyzeProject(options = {}) {
+  const detector = createDetector(options);
+  if (options.onProgress) detector.on('progress', options.onProgress);
+
+  const findings = applySeverities(detector.analyze(), options);
+  return {
+    projectPath: path.resolve(detector.projectPath),
+    projects: detector.workspace.projects.map(({ name, configPath }) => ({
+      name,
+      configPath
+    })),
+    entryFiles: detector.entryFiles,
+    findings,
+    suppressed: detector.suppressed,
+    stats: {
+      sourceFiles: detector.sourceFiles.length,
+      declarations: detector.declarations.size,
+      imports: detector.imports.size,
+      exports: detector.exports.size,
+      usages: detector.usages.size
+    }
+  };
+}
+
+// Runs an analysis the way the command line does: progress and findings are
+// printed to the console, the report is written and --fix is applied
+async function findUnusedCode(projectPath, tsConfigPath, options = {}) {
+  console.log(`🚀 Starting unused code analysis...`);
+  console.log(`📍 Project path: ${path.resolve(projectPath)}`);
+  console.log(`🔧 Node.js version: ${process.version}`);
+
+  const cliOptions = { ...options, projectPath, tsConfigPath, logger: console };
+  if (options.watch) {
+    watchUnusedCode(cliOptions);
+    return { unused: [], newFindings: undefined };
+  }
+
+  const detector = createDetector(cliOptions);
+  const found = detector.analyze();
+  const { unused, newFindings } = reportFindings(
+    detector,
+    found,
+    projectPath,
+    options
+  );
+
+  if (options.fix || options.dryRun) {
+    await removeDeadCode(detector, unused, options);
+  }
+
+  return { unused, newFindings };
+}
+
+// Analyzes the program again after every change. The usage facts of files
+// that did not change are kept in memory between runs, and on disk as well
+// with --cache.
+function watchUnusedCode(options) {
+  const { projectPath, tsConfigPath, logger } = options;
+  const workspace = loadWorkspace(projectPath, tsConfigPath, { logger });
+  const cache = new AnalysisCache(
+    options.cache ? getCachePath(projectPath, options) : undefined,
+    getCacheKey(workspace),
+    logger
+  );
+
+  return workspace.watch((program) => {
+    try {
+      const detector = createDetector(options, { workspace, program, cache });
+      reportFindings(detector, detector.analyze(), projectPath, options);
+    } catch (error) {
+      logger.error('\n❌ Error analyzing code:', error);
+    }
+    logger.log('\n👀 Watching for changes...');
+  });
+}
+
+// The context of a watcher overrides the workspace, program and cache the
+// options would create
+function createDetector(options, context = {}) {
+  const { projectPath = process.cwd(), tsConfigPath, files } = options;
+  const logger = options.logger || silentLogger;
+  const workspace =
+    context.workspace || loadWorkspace(projectPath, tsConfigPath, { files, logger });
+  const cache =
+    context.cache ||
+    (options.cache
+      ? new AnalysisCache(
+          getCachePath(projectPath, options),
+          getCacheKey(workspace),
+          logger
+        )
+      : undefined);
+
+  const detector = new UnusedCodeDetector({
+    projectPath,
+    logger,
+    workspace,
+    program: context.program,
+    cache
+  });
+
+  if (options.debug) {
+    detector.enableDebug();
+  }
+
+  if (options.entryPoints && options.entryPoints.length > 0) {
+    detector.addEntryPoints(options.entryPoints);
+  }
+
+  detector.addIgnorePatterns({
+    files: options.ignoreFiles || [],
+    names: options.ignoreNames || []
+  });
+  detector.addIncludePatterns(options.includeFiles || []);
+  detector.addNonProductionPatterns(options.nonProduction || []);
+  detector.defineConstants(options.constants || {});
+  if (options.plugins) detector.addPlugins(options.plugins);
+
+  return detector;
+}
+
+function getCachePath(projectPath, options) {
+  return options.cacheLocation || path.join(projectPath, '.deadcodecache');
+}
+
+// Cached facts are only valid for the same compiler options and the same
+// version of TypeScript and of this tool
+function getCacheKey(workspace) {
+  const analyzerSources = fs
+    .readdirSync(__dirname)
+    .filter((file) => file.endsWith('.js'))
+    .sort()
+    .map((file) => fs.readFileSync(path.join(__dirname, file), 'utf8'));
+
+  return hashText(
+    JSON.stringify({
+      typescript: ts.version,
+      analyzer: analyzerSources,
+      projects: workspace.projects.map(({ configPath, options }) => ({
+        configPath,
+        options
+      }))
+    })
+  );
+}
+
+// Prints the findings and writes the report
+function reportFindings(detector, found, projectPath, options) {
+  // With --changed-since only findings the change touched or caused are
+  // reported, with a baseline only those that are not recorded yet
+  const rated = applySeverities(found, options);
+  const changed = options.changedSince
+    ? applyChangedSince(detector, rated, projectPath, options)
+    : rated;
+  const { unused: reported, newFindings } = options.baseline
+    ? applyBaseline(changed, options)
+    : { unused: changed, newFindings: undefined };
+
+  // The unused items are those reported below, not the ones rules turn off
+  console.log(`\n📊 Analysis Results:`);
+  console.log(`- Declarations found: ${detector.declarations.size}`);
+  console.log(`- Imports tracked: ${detector.imports.size}`);
+  console.log(`- Exports tracked: ${detector.exports.size}`);
+  console.log(`- Referenced symbols found: ${detector.usages.size}`);
+  console.log(`- Unused items: ${reported.length}`);
+  console.log(`- Suppressed items: ${detector.suppressed.length}`);
+
+  // Oldest first, the longer dead code is left alone the safer it goes
+  const unused = options.age
+    ? annotateAges(reported).sort((a, b) => b.untouchedDays - a.untouchedDays)
+    : reported;
+
+  // Group by type
+  const groupBy = (items, key) =>
+    items.reduce((acc, item) => {
+      if (!acc[item[key]]) acc[item[key]] = [];
+      acc[item[key]].push(item);
+      return acc;
+    }, {});
+  const grouped = groupBy(unused, 'type');
+
+  // Display results with reasons
+  const printGroups = (groups) =>
+    Object.entries(groups).forEach(([type, items]) => {
+      const title = groupTitles[type] || `${type.toUpperCase()}S`;
+      console.log(`\n${title} (${items.length}):`);
+      items.forEach((item) => {
+        const relativePath = path.relative(process.cwd(), item.file);
+        const exportedStr = item.exported ? ' [EXPORTED]' : '';
+        const errorStr = item.severity === 'error' ? ' [ERROR]' : '';
+        const ageStr =
+          item.untouchedDays !== undefined
+            ? ` (untouched for ${formatDays(item.untouchedDays)})`
+            : '';
+        console.log(
+          `  • ${item.name}${exportedStr}${errorStr} - ${relativePath}:${item.line}${ageStr}`
+        );
+        if (options.showReasons) {
+          console.log(`    Reason: ${item.reason}`);
+          if (item.locations) {
+            const locations = item.locations.map(
+              (location) =>
+                `${path.relative(process.cwd(), location.file)}:${location.line}`
+            );
+            console.log(`    Declared at: ${locations.join(', ')}`);
+          }
+          if (item.chain && item.chain.length > 1) {
+            const chain = item.chain.map((file) =>
+              path.relative(process.cwd(), file)
+            );
+            console.log(`    Chain: ${chain.join(' → ')}`);
+          }
+          if (item.usedBy && item.usedBy.length > 0) {
+            const consumers = item.usedBy.map((file) =>
+              path.relative(process.cwd(), file)
+            );
+            console.log(`    Used by: ${consumers.join(', ')}`);
+          }
+          if (item.keptAliveBy && item.keptAliveBy.length > 0) {
+            const keepers = item.keptAliveBy.map(
+              (keeper) =>
+                `${keeper.name} (${path.relative(process.cwd(), keeper.file)}:${keeper.line})`
+            );
+            console.log(`    Kept alive by: ${keepers.join(', ')}`);
+          }
+        }
+      });
+    });
+
+  // Monorepo findings are listed per workspace package
+  const byPackage = detector.workspace.isMonorepo
+    ? groupBy(unused, 'package')
+    : undefined;
+  if (unused.length === 0 && options.baseline) {
+    console.log('\n✅ No unused code was added since the baseline.');
+  } else if (unused.length === 0) {
+    console.log('\n✅ No unused code found! Your project is clean.');
+  } else if (byPackage) {
+    console.log(`\n⚠️  Found ${unused.length} potentially unused items:\n`);
+    Object.entries(byPackage).forEach(([name, items]) => {
+      console.log(`\n📦 ${name} (${items.length}):`);
+      printGroups(groupBy(items, 'type'));
+    });
+  } else {
+    console.log(`\n⚠️  Found ${unused.length} potentially unused items:\n`);
+    printGroups(grouped);
+  }
+
+  // Rules set to error fail the run
+  const errorCount = unused.filter((item) => item.severity === 'error').length;
+  if (errorCount > 0) {
+    console.log(`\n❌ ${errorCount} of them violate rules set to error`);
+  }
+
+  // Suppressions stay visible so they can be reviewed
+  if (detector.suppressed.length > 0 && options.showReasons) {
+    console.log(`\n🙈 SUPPRESSED (${detector.suppressed.length}):`);
+    detector.suppressed.forEach((item) => {
+      const relativePath = path.relative(process.cwd(), item.file);
+      console.log(
+        `  • ${item.name} - ${relativePath}:${item.line} (${item.suppressedBy})`
+      );
+    });
+  }
+
+  // Save detailed report
+  const report = {
+    timestamp: new Date().toISOString(),
+    nodeVersion: process.version,
+    projectPath: path.resolve(projectPath),
+    totalUnused: unused.length,
+    totalSuppressed: detector.suppressed.length,
+    totalDeclarations: detector.declarations.size,
+    totalImports: detector.imports.size,
+    totalExports: detector.exports.size,
+    totalUsages: detector.usages.size,
+    byType: grouped,
+    byPackage,
+    items: unused,
+    suppressed: detector.suppressed,
+    // Files importing the file of each finding, where it could be used
+    importers: Object.fromEntries(
+      Array.from(new Set(unused.map((item) => item.file)), (file) => [
+        file,
+        Array.from(detector.moduleGraph.dependents.get(file) || [])
+      ])
+    ),
+    // Symbols and AST nodes are not serializable, report their plain facts
+    allDeclarations: options.includeDetails
+      ? Array.from(detector.declarations.values(), ({ name, type, file }) => ({
+          name,
+          type,
+          file
+        }))
+      : undefined,
+    allImports: options.includeDetails
+      ? Array.from(detector.imports.values()).flat()
+      : undefined,
+    allExports: options.includeDetails
+      ? Array.from(detector.exports.values())
+      : undefined,
+    allUsages: options.includeDetails
+      ? Array.from(detector.usages, ([symbol, files]) => ({
+          name: symbol.name,
+          files: Array.from(files)
+        }))
+      : undefined
+  };
+
+  writeReport(report, projectPath, options);
+  if (options.graph) writeGraph(detector, found, options.graph);
+
+  return { unused, newFindings };
+}
+
+// Keeps the findings the changes since --changed-since touched or caused
+function applyChangedSince(detector, found, projectPath, options) {
+  // Project files by name, packages by package name
+  const resolveModule = (specifier, sourceFile) => {
+    const target = detector.workspace.resolveModule(specifier, sourceFile);
+    if (target && !/[\\/]node_modules[\\/]/.test(target)) return target;
+    return detector.moduleGraph.getPackageName(specifier.text);
+  };
+  const changes = getChangesSince(
+    options.changedSince,
+    path.resolve(projectPath),
+    resolveModule
+  );
+  const affected = findAffectedByChanges(found, changes);
+  console.log(
+    `\n🔀 Changed since ${options.changedSince}: ${affected.length} of ${found.length} findings touched or caused by the change`
+  );
+  return affected;
+}
+
+function formatDays(days) {
+  if (days === 0) return 'less than a day';
+  if (days < 60) return `${days} day${days === 1 ? '' : 's'}`;
+  if (days < 730) return `${Math.floor(days / 30)} months`;
+  return `${Math.floor(days / 365)} years`;
+}
+
+// Records the findings with --update-baseline, otherwise hides the recorded
+// ones. Everything reported against an existing baseline is new.
+function applyBaseline(found, options) {
+  if (options.updateBaseline) {
+    writeBaseline(options.baseline, found);
+    console.log(`\n🧾 Recorded ${found.length} findings in ${options.baseline}`);
+    return { unused: found, newFindings: [] };
+  }
+
+  const baseline = readBaseline(options.baseline);
+  if (!baseline) {
+    console.warn(
+      `⚠️ Baseline ${options.baseline} does not exist yet, create it with --update-baseline`
+    );
+  }
+
+  const { newItems, knownCount, fixedCount } = compareWithBaseline(
+    found,
+    baseline || new Map(),
+    options.baseline
+  );
+  console.log(
+    `\n🧾 Baseline: ${newItems.length} new, ${knownCount} known, ${fixedCount} fixed since it was recorded`
+  );
+  return { unused: newItems, newFindings: newItems };
+}
+
+// Without --format the JSON report is saved next to the project as before;
+// with it the report goes to --output or, for piping, to stdout
+function writeReport(report, projectPath, options) {
+  const format = options.format || 'json';
+  const outputPath =
+    options.output ||
+    (options.format ? undefined : path.join(projectPath, 'unused-code-report.json'));
+  const content = formatReport(format, report);
+
+  if (!outputPath) {
+    process.stdout.write(content);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  console.log(
+    `\n📄 Detailed report saved to: ${path.relative(process.cwd(), outputPath)}`
+  );
+}
+
+// The import graph as Graphviz source for .dot and .gv files, as Mermaid
+// for .mmd files and as a Mermaid block in a Markdown file for .md
+function writeGraph(detector, found, graphPath) {
+  const relative = (file) => path.relative(process.cwd(), file).replace(/\\/g, '/');
+  const unreachableFiles = found
+    .filter((item) => item.type === 'file')
+    .map((item) => item.file);
+  const extension = path.extname(graphPath);
+  const graph = detector.moduleGraph;
+
+  const content =
+    extension === '.dot' || extension === '.gv'
+      ? graph.toDot(relative, detector.entryFiles, unreachableFiles)
+      : graph.toMermaid(relative, detector.entryFiles, unreachableFiles);
+
+  fs.mkdirSync(path.dirname(path.resolve(graphPath)), { recursive: true });
+  fs.writeFileSync(
+    graphPath,
+    extension === '.md' ? `\`\`\`mermaid\n${content}\`\`\`\n` : content
+  );
+  console.log(
+    `🕸️  Import graph saved to: ${path.relative(process.cwd(), graphPath)}`
+  );
+}
+
+// `node findDeadCode.js` keeps working as the command line
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  import('./cli.js');
+}
+
+export { UnusedCodeDetector, analyzeProject, findUnusedCode };
@@ -0,0 +1,412 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+import ts from 'typescript';
+
+import { isRequireCall } from './moduleGraph.js';
+
+const dayMs = 24 * 60 * 60 * 1000;
+
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+function getRepositoryRoot(dir) {
+  try {
+    return git(['rev-parse', '--show-toplevel'], dir).trim();
+  } catch {
+    throw new Error(`${dir} is not inside a git repository`);
+  }
+}
+
+function toFileName(root, file) {
+  return path.resolve(root, file).replace(/\\/g, '/');
+}
+
+// What changed since the ref, including uncommitted and untracked files: the
+// changed lines per file, null for files that are new altogether, and the
+// references that went away. A branch is compared with the commit it forked
+// from, so changes made on the ref since then do not count.
+//
+// resolveModule(specifier, sourceFile) gives the file or package an import
+// refers to, old versions of files are resolved where they used to be.
+function getChangesSince(ref, dir, resolveModule) {
+  const root = getRepositoryRoot(dir);
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], root);
+  } catch {
+    throw new Error(`Unknown git revision: ${ref}`);
+  }
+
+  let base = ref;
+  try {
+    base = git(['merge-base', ref, 'HEAD'], root).trim();
+  } catch {
+    // Unrelated histories, compare with the ref itself
+  }
+
+  const changedLines = new Map();
+  // Lines as they were and as they are, per changed file
+  const hunks = [];
+  let hunk;
+  git(
+    [
+      'diff',
+      '-U0',
+      '--no-color',
+      '--no-ext-diff',
+      '--src-prefix=a/',
+      '--dst-prefix=b/',
+      base
+    ],
+    root
+  )
+    .split('\n')
+    .forEach((line) => {
+      if (line.startsWith('diff --git')) {
+        hunk = {
+          oldFile: undefined,
+          newFile: undefined,
+          oldLines: [],
+          newLines: []
+        };
+        hunks.push(hunk);
+      } else if (hunk.newFile === undefined && line.startsWith('--- ')) {
+        hunk.oldFile = line === '--- /dev/null' ? null : line.slice(6);
+      } else if (hunk.newFile === undefined && line.startsWith('+++ ')) {
+        hunk.newFile =
+          line === '+++ /dev/null' ? null : toFileName(root, line.slice(6));
+        if (hunk.newFile && hunk.oldFile === null)
+          changedLines.set(hunk.newFile, null);
+      } else if (line.startsWith('@@')) {
+        // @@ -12,3 +12,0 @@: lines removed after line 12 touch line 12
+        const [, oldStart, oldCount = '1', newStart, newCount = '1'] =
+          /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))?/.exec(line);
+        addRange(hunk.oldLines, oldStart, oldCount);
+        addRange(hunk.newLines, newStart, newCount);
+
+        if (!hunk.newFile || changedLines.get(hunk.newFile) === null) return;
+        if (!changedLines.has(hunk.newFile))
+          changedLines.set(hunk.newFile, new Set());
+        for (let i = 0; i < Math.max(Number(newCount), 1); i++) {
+          changedLines.get(hunk.newFile).add(Number(newStart) + i);
+        }
+      }
+    });
+
+  git(['ls-files', '--others', '--exclude-standard', '-z'], root)
+    .split('\0')
+    .filter(Boolean)
+    .forEach((file) => changedLines.set(toFileName(root, file), null));
+
+  const removedReferences = new Set();
+  hunks
+    .filter(({ oldFile }) => oldFile && scriptFile.test(oldFile))
+    .forEach(({ oldFile, newFile, oldLines, newLines }) => {
+      const oldText = git(['show', `${base}:${oldFile}`], root);
+      const before = collectReferences(
+        toFileName(root, oldFile),
+        oldText,
+        new Set(oldLines),
+        resolveModule
+      );
+      const after =
+        newFile && fs.existsSync(newFile)
+          ? collectReferences(
+              newFile,
+              fs.readFileSync(newFile, 'utf8'),
+              new Set(newLines),
+              resolveModule
+            )
+          : [];
+
+      // References moved around within the file are no loss
+      after.forEach((key) => {
+        const index = before.indexOf(key);
+        if (index !== -1) before.splice(index, 1);
+      });
+      before.forEach((key) => removedReferences.add(key));
+    });
+
+  return { base, changedLines, removedReferences };
+}
+
+function addRange(lines, start, count) {
+  for (let i = 0; i < Number(count); i++) lines.push(Number(start) + i);
+}
+
+const scriptFile = /\.[cm]?[jt]sx?$/;
+// Members are accessed through values of any file, only their name is known
+const memberTarget = '.';
+
+function toReferenceKey(target, name) {
+  return `${target}\0${name}`;
+}
+
+// What the code on the given lines refers to, as keys of the file or package
+// and the name in it: `*` for a whole module or namespace, `#module` for the
+// import of the module itself. Names that are not imported belong to the file
+// they appear in.
+function collectReferences(fileName, text, lines, resolveModule) {
+  const sourceFile = ts.createSourceFile(
+    fileName,
+    text,
+    ts.ScriptTarget.Latest,
+    true
+  );
+  const isOnLines = (node) =>
+    lines.has(sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1);
+  const resolve = (specifier) => resolveModule(specifier, sourceFile);
+
+  // Local names of imports and requires, and what they stand for
+  const imported = new Map();
+  const references = [];
+  const addImport = (nameNode, target, name) => {
+    imported.set(nameNode.text, { target, name });
+    if (isOnLines(nameNode)) references.push(toReferenceKey(target, name));
+  };
+  const addModule = (specifier) => {
+    const target = resolve(specifier);
+    if (target && isOnLines(specifier)) {
+      references.push(toReferenceKey(target, '#module'));
+    }
+    return target;
+  };
+
+  const collectImports = (node) => {
+    if (
+      (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) &&
+      node.moduleSpecifier &&
+      ts.isStringLiteral(node.moduleSpecifier)
+    ) {
+      const target = addModule(node.moduleSpecifier);
+      if (!target) return;
+      const clause = ts.isImportDeclaration(node) ? node.importClause : node;
+      if (!clause) return;
+
+      if (clause.name) addImport(clause.name, target, 'default');
+      const bindings = ts.isImportDeclaration(node)
+        ? clause.namedBindings
+        : node.exportClause;
+      if (
+        bindings &&
+        (ts.isNamespaceImport(bindings) || ts.isNamespaceExport(bindings))
+      ) {
+        addImport(bindings.name, target, '*');
+      } else if (bindings) {
+        bindings.elements.forEach((element) =>
+          addImport(
+            element.name,
+            target,
+            (element.propertyName || element.name).text
+          )
+        );
+      } else if (ts.isExportDeclaration(node) && isOnLines(node)) {
+        references.push(toReferenceKey(target, '*'));
+      }
+      return;
+    }
+
+    // import x = require('./x'), const x = require('./x') and
+    // const { a } = require('./x')
+    const specifier =
+      (ts.isImportEqualsDeclaration(node) &&
+        ts.isExternalModuleReference(node.moduleReference) &&
+        node.moduleReference.expression) ||
+      (ts.isVariableDeclaration(node) &&
+        node.initializer &&
+        isRequireCall(node.initializer) &&
+        node.initializer.arguments[0]);
+    if (specifier && ts.isStringLiteralLike(specifier)) {
+      const target = addModule(specifier);
+      if (!target) return;
+      if (ts.isIdentifier(node.name)) {
+        addImport(node.name, target, '*');
+      } else if (ts.isObjectBindingPattern(node.name)) {
+        node.name.elements
+          .filter((element) => ts.isIdentifier(element.name))
+          .forEach((element) =>
+            addImport(
+              element.name,
+              target,
+              (element.propertyName || element.name).text
+            )
+          );
+      }
+      return;
+    }
+
+    ts.forEachChild(node, collectImports);
+  };
+  collectImports(sourceFile);
+
+  const visit = (node) => {
+    if (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) return;
+    if (ts.isIdentifier(node) && isOnLines(node)) {
+      const { parent } = node;
+      const isMemberName =
+        (ts.isPropertyAccessExpression(parent) || ts.isQualifiedName(parent)) &&
+        (parent.name === node || parent.right === node);
+      const owner = isMemberName && (parent.expression || parent.left);
+      const namespace = owner && ts.isIdentifier(owner) && imported.get(owner.text);
+
+      if (namespace && namespace.name === '*') {
+        // ns.helper
+        references.push(toReferenceKey(namespace.target, node.text));
+      } else if (isMemberName) {
+        references.push(toReferenceKey(memberTarget, node.text));
+      } else {
+        references.push(toReferenceKey(fileName, node.text));
+        const binding = imported.get(node.text);
+        if (binding) references.push(toReferenceKey(binding.target, binding.name));
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  return references;
+}
+
+// Findings whose declaration changed, or that lost a user: a reference to
+// them in the file or package they are in went away with the change.
+function isAffectedByChanges(item, changes) {
+  const ranges = item.locations || [item];
+  const isTouched = ranges.some((range) => {
+    if (!changes.changedLines.has(range.file)) return false;
+
+    const lines = changes.changedLines.get(range.file);
+    if (lines === null || item.type === 'file') return true;
+    for (let line = range.line; line <= (range.endLine || range.line); line++) {
+      if (lines.has(line)) return true;
+    }
+    return false;
+  });
+  if (isTouched) return true;
+
+  return getReferenceKeys(item).some((key) => changes.removedReferences.has(key));
+}
+
+// Findings the changes touched or caused. Besides those isAffectedByChanges
+// picks, code kept alive only by such findings died with the change as well:
+// removing the last call of wrap() kills what only wrap() used.
+function findAffectedByChanges(items, changes) {
+  const getKey = ({ file, line, name }) => `${file}:${line}:${name}`;
+  const affected = new Set(
+    items.filter((item) => isAffectedByChanges(item, changes)).map(getKey)
+  );
+
+  let added = true;
+  while (added) {
+    added = false;
+    items
+      .filter((item) => !affected.has(getKey(item)) && item.keptAliveBy)
+      .filter((item) =>
+        item.keptAliveBy.some((keeper) => affected.has(getKey(keeper)))
+      )
+      .forEach((item) => {
+        affected.add(getKey(item));
+        added = true;
+      });
+  }
+
+  return items.filter((item) => affected.has(getKey(item)));
+}
+
+// The references code makes to the finding. Exports are also used through
+// namespaces and default imports, which do not name them.
+function getReferenceKeys(item) {
+  const name = item.name.split('.').pop();
+  switch (item.type) {
+    case 'unreachable':
+      return [];
+    case 'dependency':
+    case 'unlistedDependency':
+      return [toReferenceKey(item.name, '#module')];
+    case 'file':
+      return [toReferenceKey(item.file, '#module')];
+  }
+  if (item.name.includes('.')) {
+    return [toReferenceKey(memberTarget, name), toReferenceKey(item.file, name)];
+  }
+  return [
+    toReferenceKey(item.file, name),
+    ...(item.exported
+      ? [toReferenceKey(item.file, '*'), toReferenceKey(item.file, 'default')]
+      : [])
+  ];
+}
+
+// When each line of the file was last changed, now for uncommitted lines and
+// files git does not know
+function getLineTimes(file) {
+  const now = Date.now();
+  let output;
+  try {
+    output = git(
+      ['blame', '--porcelain', '--', path.basename(file)],
+      path.dirname(file)
+    );
+  } catch {
+    return { now, lines: [] };
+  }
+
+  const commitTimes = new Map();
+  const lines = [];
+  let commit;
+  output.split('\n').forEach((line) => {
+    const header = /^([0-9a-f]{40}) \d+ (\d+)/.exec(line);
+    if (header) {
+      commit = header[1];
+      lines[Number(header[2])] = commit;
+    } else if (line.startsWith('author-time ') && !commitTimes.has(commit)) {
+      commitTimes.set(commit, Number(line.slice(12)) * 1000);
+    }
+  });
+
+  const uncommitted = '0'.repeat(40);
+  return {
+    now,
+    lines: lines.map((sha) => (sha === uncommitted ? now : commitTimes.get(sha)))
+  };
+}
+
+// Adds when each finding was last changed and for how many days it has been
+// left alone since, from `git blame` of its lines (the whole file for files)
+function annotateAges(items) {
+  const blames = new Map();
+  const getBlame = (file) => {
+    if (!blames.has(file)) blames.set(file, getLineTimes(file));
+    return blames.get(file);
+  };
+
+  return items.map((item) => {
+    const ranges = item.locations || [item];
+    let lastModified = 0;
+    ranges.forEach((range) => {
+      const { now, lines } = getBlame(range.file);
+      const first = item.type === 'file' ? 1 : range.line;
+      const last =
+        item.type === 'file'
+          ? Math.max(lines.length - 1, 1)
+          : range.endLine || range.line;
+      for (let line = first; line <= last; line++) {
+        lastModified = Math.max(lastModified, lines[line] || now);
+      }
+    });
+
+    return {
+      ...item,
+      lastModified: new Date(lastModified).toISOString(),
+      untouchedDays: Math.floor((Date.now() - lastModified) / dayMs)
+    };
+  });
+}
+
+export { annotateAges, findAffectedByChanges, getChangesSince };
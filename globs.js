@@ -0,0 +1,57 @@
+import path from 'path';
+
+const compiled = new Map();
+
+// Minimal glob support: `**` spans directories, `*` and `?` stay within a
+// single path segment and `{a,b}` lists alternatives
+function globToRegExp(pattern) {
+  if (compiled.has(pattern)) return compiled.get(pattern);
+
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      source += '(?:';
+      braceDepth++;
+    } else if (char === '}' && braceDepth > 0) {
+      source += ')';
+      braceDepth--;
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regExp = new RegExp(`^${source}$`);
+  compiled.set(pattern, regExp);
+  return regExp;
+}
+
+// Patterns are resolved against baseDir, so `src/**/*.ts` and absolute
+// patterns both work
+function matchesGlob(file, patterns, baseDir = process.cwd()) {
+  const normalizedFile = file.replace(/\\/g, '/');
+
+  return patterns.some((pattern) => {
+    const absolute = path.resolve(baseDir, pattern).replace(/\\/g, '/');
+    return globToRegExp(absolute).test(normalizedFile);
+  });
+}
+
+export { globToRegExp, matchesGlob };
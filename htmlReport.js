@@ -0,0 +1,186 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const snippetContext = 3; // Lines shown around the line of a finding
+
+// A single page report without external resources, so it can be archived or
+// mailed around and opened offline. Every finding is a collapsible row with
+// its snippet, the filters only hide rows.
+function toHtml(report, relative) {
+  const items = report.items;
+  const types = Array.from(new Set(items.map((item) => item.type))).sort();
+  const directories = Array.from(
+    new Set(items.map((item) => path.posix.dirname(relative(item.file))))
+  ).sort();
+  const sourceCache = new Map();
+
+  const rows = items.map((item, index) =>
+    renderItem(item, index, report, relative, sourceCache)
+  );
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Dead code report</title>
+<style>${styles}</style>
+</head>
+<body>
+<h1>Dead code report</h1>
+<p class="summary">${escapeHtml(report.projectPath)} &middot; ${escapeHtml(report.timestamp)} &middot; <span id="count">${items.length}</span> of ${items.length} findings</p>
+<form id="filters">
+  <label>Type <select name="type"><option value="">All</option>${types
+    .map((type) => `<option>${escapeHtml(type)}</option>`)
+    .join('')}</select></label>
+  <label>Directory <select name="directory"><option value="">All</option>${directories
+    .map((directory) => `<option>${escapeHtml(directory)}</option>`)
+    .join('')}</select></label>
+  <label>Exported <select name="exported"><option value="">All</option><option value="true">Exported</option><option value="false">Not exported</option></select></label>
+  <label>Name <input name="name" type="search"></label>
+</form>
+<div id="findings">
+${rows.join('\n')}
+</div>
+<script>${script}</script>
+</body>
+</html>
+`;
+}
+
+function renderItem(item, index, report, relative, sourceCache) {
+  const file = relative(item.file);
+  const directory = path.posix.dirname(file);
+  // Files importing the module of the finding without using it
+  const importers = (report.importers && report.importers[item.file]) || [];
+  const details = [
+    ['Reason', escapeHtml(item.reason)],
+    [
+      'Declared in',
+      (item.locations || [item])
+        .map((location) => linkFile(location.file, relative, location.line))
+        .join(', ')
+    ],
+    [
+      'Imported by',
+      importers.length > 0
+        ? importers.map((importer) => linkFile(importer, relative)).join(', ')
+        : 'no file'
+    ]
+  ];
+  if (item.lastModified) {
+    details.push([
+      'Last changed',
+      `${escapeHtml(item.lastModified.slice(0, 10))} (${item.untouchedDays} days ago)`
+    ]);
+  }
+  if (item.chain && item.chain.length > 1) {
+    details.push([
+      'Import chain',
+      item.chain.map((chainFile) => linkFile(chainFile, relative)).join(' &rarr; ')
+    ]);
+  }
+  if (item.usedBy && item.usedBy.length > 0) {
+    details.push([
+      'Used by',
+      item.usedBy.map((consumer) => linkFile(consumer, relative)).join(', ')
+    ]);
+  }
+  if (item.keptAliveBy && item.keptAliveBy.length > 0) {
+    details.push([
+      'Kept alive by',
+      item.keptAliveBy
+        .map(
+          (keeper) =>
+            `${escapeHtml(keeper.name)} (${linkFile(keeper.file, relative, keeper.line)})`
+        )
+        .join(', ')
+    ]);
+  }
+
+  return `<details class="finding" id="finding-${index}" data-type="${escapeHtml(item.type)}" data-directory="${escapeHtml(directory)}" data-exported="${Boolean(item.exported)}" data-name="${escapeHtml(item.name.toLowerCase())}">
+<summary><span class="type">${escapeHtml(item.type)}</span> <code>${escapeHtml(item.name)}</code>${item.exported ? ' <span class="exported">exported</span>' : ''} <span class="location">${escapeHtml(`${file}:${item.line}`)}</span></summary>
+<dl>${details.map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`).join('')}</dl>
+${renderSnippet(item, sourceCache)}
+</details>`;
+}
+
+function renderSnippet(item, sourceCache) {
+  if (!sourceCache.has(item.file)) {
+    try {
+      sourceCache.set(item.file, fs.readFileSync(item.file, 'utf8').split(/\r?\n/));
+    } catch {
+      sourceCache.set(item.file, undefined);
+    }
+  }
+  const lines = sourceCache.get(item.file);
+  if (!lines) return '';
+
+  const first = Math.max(1, item.line - snippetContext);
+  const last = Math.min(lines.length, item.line + snippetContext);
+  const numbered = [];
+  for (let line = first; line <= last; line++) {
+    const className = line === item.line ? ' class="current"' : '';
+    numbered.push(
+      `<span${className}><span class="line">${line}</span>${escapeHtml(lines[line - 1])}</span>`
+    );
+  }
+  return `<pre class="snippet">${numbered.join('\n')}</pre>`;
+}
+
+function linkFile(file, relative, line) {
+  const label = line ? `${relative(file)}:${line}` : relative(file);
+  return `<a href="${escapeHtml(pathToFileURL(file).href)}">${escapeHtml(label)}</a>`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const styles = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+h1 { margin-bottom: 0.2em; }
+.summary { color: #666; }
+#filters { display: flex; flex-wrap: wrap; gap: 1em; margin: 1em 0; }
+.finding { border-bottom: 1px solid #ddd; padding: 0.4em 0; }
+.finding summary { cursor: pointer; }
+.type { display: inline-block; min-width: 6em; color: #555; }
+.exported { font-size: 0.8em; background: #fde8c8; padding: 0 0.4em; border-radius: 3px; }
+.location { color: #666; margin-left: 0.5em; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.2em 1em; }
+dt { color: #666; }
+dd { margin: 0; }
+.snippet { background: #f6f8fa; padding: 0.5em; overflow-x: auto; }
+.snippet .line { display: inline-block; width: 3em; color: #999; user-select: none; }
+.snippet .current { background: #fff3b0; display: inline-block; min-width: 100%; }
+`;
+
+const script = `
+const form = document.getElementById('filters');
+const findings = Array.from(document.querySelectorAll('.finding'));
+const update = () => {
+  const filters = Object.fromEntries(new FormData(form));
+  let count = 0;
+  findings.forEach((finding) => {
+    const { type, directory, exported, name } = finding.dataset;
+    const visible =
+      (!filters.type || filters.type === type) &&
+      (!filters.directory ||
+        directory === filters.directory ||
+        directory.startsWith(filters.directory + '/')) &&
+      (!filters.exported || filters.exported === exported) &&
+      name.includes(filters.name.toLowerCase());
+    finding.hidden = !visible;
+    if (visible) count++;
+  });
+  document.getElementById('count').textContent = count;
+};
+form.addEventListener('input', update);
+form.addEventListener('submit', (event) => event.preventDefault());
+`;
+
+export { toHtml };
@@ -0,0 +1,366 @@
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+import { AnalysisCache } from './analysisCache.js';
+import { DeadCodeRemover } from './deadCodeRemover.js';
+import { UnusedCodeDetector } from './findDeadCode.js';
+import { loadWorkspace } from './workspaces.js';
+
+// Language server speaking LSP over stdio: dead code findings are published
+// as diagnostics for open and closed files alike, with code actions removing
+// the declaration or its `export` keyword. Open documents are analyzed from
+// memory, everything else from disk.
+//
+//   node languageServer.js --stdio
+
+const analysisDelay = 300; // Milliseconds without edits before analyzing
+const diagnosticSeverity = { hint: 4 };
+const diagnosticTag = { unnecessary: 1 };
+// Findings about how used code is declared, which nothing removes
+const reviewTypes = new Set(['typeOnly', 'typeImport', 'leakedType']);
+const errorCodes = {
+  methodNotFound: -32601,
+  internalError: -32603,
+  serverNotInitialized: -32002
+};
+
+// stdout carries the protocol, everything else goes to stderr
+const logger = { log: console.error, warn: console.warn, error: console.error };
+
+class LanguageServer {
+  constructor(input, output) {
+    this.input = input;
+    this.output = output;
+    this.buffer = Buffer.alloc(0);
+    this.workspace = null;
+    this.cache = new AnalysisCache(undefined, 'language-server', logger);
+    this.documents = new Map(); // Open documents by file, with their version
+    this.analyzedVersions = new Map(); // Versions the last analysis saw
+    this.detector = null; // The last analysis, code actions are planned on it
+    this.findings = new Map(); // Findings of the last analysis, per file
+    this.unneededExports = new Set(); // Findings only their export is wrong with
+    this.publishedFiles = new Set();
+    this.timer = null;
+    this.isShuttingDown = false;
+  }
+
+  start() {
+    this.input.on('data', (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.readMessages();
+    });
+  }
+
+  // Messages are framed by a Content-Length header
+  readMessages() {
+    for (;;) {
+      const headerEnd = this.buffer.indexOf('\r\n\r\n');
+      if (headerEnd === -1) return;
+
+      const header = this.buffer.slice(0, headerEnd).toString('ascii');
+      const match = /Content-Length: *(\d+)/i.exec(header);
+      const bodyStart = headerEnd + 4;
+      if (!match) {
+        this.buffer = this.buffer.slice(bodyStart);
+        continue;
+      }
+
+      const bodyEnd = bodyStart + Number(match[1]);
+      if (this.buffer.length < bodyEnd) return;
+
+      const body = this.buffer.slice(bodyStart, bodyEnd).toString('utf8');
+      this.buffer = this.buffer.slice(bodyEnd);
+      try {
+        this.handleMessage(JSON.parse(body));
+      } catch (error) {
+        logger.error('❌ Could not handle message:', error);
+      }
+    }
+  }
+
+  send(message) {
+    const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+    this.output.write(`Content-Length: ${Buffer.byteLength(json)}\r\n\r\n${json}`);
+  }
+
+  notify(method, params) {
+    this.send({ method, params });
+  }
+
+  handleMessage({ id, method, params }) {
+    // Responses to our own requests, we never send any
+    if (!method) return;
+
+    const isRequest = id !== undefined;
+    if (!this.workspace && method !== 'initialize' && method !== 'exit') {
+      if (isRequest) {
+        this.send({
+          id,
+          error: {
+            code: errorCodes.serverNotInitialized,
+            message: 'Not initialized'
+          }
+        });
+      }
+      return;
+    }
+
+    switch (method) {
+      case 'initialize':
+        // Without a workspace every later request is answered as not
+        // initialized, but the client needs an answer to this one
+        try {
+          return this.send({ id, result: this.initialize(params) });
+        } catch (error) {
+          logger.error('❌ Could not load the workspace:', error);
+          return this.send({
+            id,
+            error: {
+              code: errorCodes.internalError,
+              message: `Could not load the workspace: ${error.message}`
+            }
+          });
+        }
+      case 'initialized':
+        return this.scheduleAnalysis();
+      case 'shutdown':
+        this.isShuttingDown = true;
+        clearTimeout(this.timer);
+        return this.send({ id, result: null });
+      case 'exit':
+        return process.exit(this.isShuttingDown ? 0 : 1);
+      case 'textDocument/didOpen':
+        return this.updateDocument(params.textDocument, params.textDocument.text);
+      case 'textDocument/didChange':
+        // Full document sync, the last change holds the whole text
+        return this.updateDocument(
+          params.textDocument,
+          params.contentChanges[params.contentChanges.length - 1].text
+        );
+      case 'textDocument/didClose':
+        return this.updateDocument(params.textDocument, undefined);
+      case 'textDocument/didSave':
+      case 'workspace/didChangeWatchedFiles':
+        return this.scheduleAnalysis();
+      case 'textDocument/codeAction':
+        return this.send({ id, result: this.getCodeActions(params) });
+      default:
+        if (isRequest) {
+          this.send({
+            id,
+            error: {
+              code: errorCodes.methodNotFound,
+              message: `Unknown method ${method}`
+            }
+          });
+        }
+    }
+  }
+
+  initialize(params) {
+    const rootUri =
+      params.rootUri ||
+      (params.workspaceFolders && params.workspaceFolders[0]
+        ? params.workspaceFolders[0].uri
+        : undefined);
+    const rootPath = rootUri
+      ? fileURLToPath(rootUri)
+      : params.rootPath || process.cwd();
+
+    this.workspace = loadWorkspace(rootPath, undefined, { logger });
+    return {
+      capabilities: {
+        textDocumentSync: { openClose: true, change: 1, save: true },
+        codeActionProvider: { codeActionKinds: ['quickfix'] }
+      },
+      serverInfo: { name: 'findDeadCode' }
+    };
+  }
+
+  updateDocument({ uri, version }, text) {
+    const file = toFileName(uri);
+    if (text === undefined) {
+      this.documents.delete(file);
+    } else {
+      this.documents.set(file, { uri, version });
+    }
+    this.workspace.setFileContent(file, text);
+    this.scheduleAnalysis();
+  }
+
+  scheduleAnalysis() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.analyze(), analysisDelay);
+  }
+
+  // The whole program is analyzed again, the cache skips the usages of files
+  // nothing changed for
+  analyze() {
+    try {
+      this.workspace.reloadProjects();
+      const program = this.workspace.createProgram(
+        this.detector ? this.detector.program : undefined
+      );
+      const detector = new UnusedCodeDetector({
+        projectPath: this.workspace.rootDir,
+        workspace: this.workspace,
+        program,
+        cache: this.cache
+      });
+      const unused = detector.analyze();
+      const unneededExports = detector.findUnneededExports();
+
+      this.detector = detector;
+      this.unneededExports = new Set(unneededExports);
+      this.analyzedVersions = new Map(
+        Array.from(this.documents, ([file, { version }]) => [file, version])
+      );
+      this.findings = new Map();
+      [...unused, ...unneededExports].forEach((item) => {
+        const file = item.file.replace(/\\/g, '/');
+        if (!this.findings.has(file)) this.findings.set(file, []);
+        this.findings.get(file).push(item);
+      });
+      this.publishDiagnostics();
+    } catch (error) {
+      logger.error('❌ Error analyzing code:', error);
+    }
+  }
+
+  publishDiagnostics() {
+    const files = new Set([...this.publishedFiles, ...this.findings.keys()]);
+    files.forEach((file) => {
+      const items = this.findings.get(file) || [];
+      this.notify('textDocument/publishDiagnostics', {
+        uri: this.getUri(file),
+        diagnostics: items.map((item) => this.toDiagnostic(item))
+      });
+    });
+    this.publishedFiles = new Set(this.findings.keys());
+  }
+
+  toDiagnostic(item) {
+    return {
+      range: this.getRange(item),
+      severity: diagnosticSeverity.hint,
+      tags: reviewTypes.has(item.type) ? [] : [diagnosticTag.unnecessary],
+      source: 'dead-code',
+      code: item.type,
+      message: item.reason,
+      // Sent back with code action requests
+      data: { name: item.name, type: item.type, file: item.file, line: item.line }
+    };
+  }
+
+  // The name on the line of the finding, or the whole line
+  getRange(item) {
+    const sourceFile = this.detector.program.getSourceFile(item.file);
+    const line = item.line - 1;
+    const lineText = sourceFile ? sourceFile.text.split(/\r?\n/)[line] || '' : '';
+    const name = item.name.split('.').pop();
+    // Identifier boundaries, as \b does not match before `#cache` or `$el`
+    const nameStart = lineText.search(
+      new RegExp(`(?<![\\w$#])${escapeRegExp(name)}(?![\\w$])`)
+    );
+
+    if (nameStart !== -1) {
+      return {
+        start: { line, character: nameStart },
+        end: { line, character: nameStart + name.length }
+      };
+    }
+    return {
+      start: { line, character: lineText.search(/\S|$/) },
+      end: { line, character: lineText.length }
+    };
+  }
+
+  getCodeActions({ textDocument, context }) {
+    const file = toFileName(textDocument.uri);
+    const document = this.documents.get(file);
+    // Positions of an outdated analysis would edit the wrong text
+    if (document && this.analyzedVersions.get(file) !== document.version) {
+      return [];
+    }
+
+    return context.diagnostics
+      .filter((diagnostic) => diagnostic.source === 'dead-code' && diagnostic.data)
+      .flatMap((diagnostic) => {
+        const item = (this.findings.get(file) || []).find(
+          (candidate) =>
+            candidate.name === diagnostic.data.name &&
+            candidate.type === diagnostic.data.type &&
+            candidate.line === diagnostic.data.line
+        );
+        if (!item || reviewTypes.has(item.type)) return [];
+
+        const actions = [];
+        if (!this.unneededExports.has(item)) {
+          actions.push(
+            this.createCodeAction(
+              `Remove ${item.type} ${item.name}`,
+              item,
+              'delete',
+              diagnostic
+            )
+          );
+        }
+        if (item.exported) {
+          actions.push(
+            this.createCodeAction(
+              `Stop exporting ${item.name}`,
+              item,
+              'unexport',
+              diagnostic
+            )
+          );
+        }
+        return actions.filter(Boolean);
+      });
+  }
+
+  // Actions the remover would skip are not offered
+  createCodeAction(title, item, action, diagnostic) {
+    const remover = new DeadCodeRemover(this.detector);
+    let planned;
+    try {
+      planned = remover.planChanges(item, action);
+    } catch (error) {
+      logger.warn(`⚠️ Could not plan removal of ${item.name}:`, error);
+      return undefined;
+    }
+    if (planned.changes.length === 0) return undefined;
+
+    const changes = {};
+    planned.changes.forEach(({ file, before, after }) => {
+      changes[this.getUri(file)] = [
+        { range: getWholeRange(before), newText: after }
+      ];
+    });
+    return { title, kind: 'quickfix', diagnostics: [diagnostic], edit: { changes } };
+  }
+
+  // Open documents keep the URI the client used
+  getUri(file) {
+    const document = this.documents.get(file);
+    return document ? document.uri : pathToFileURL(file).href;
+  }
+}
+
+function toFileName(uri) {
+  return path.resolve(fileURLToPath(uri)).replace(/\\/g, '/');
+}
+
+function getWholeRange(text) {
+  const lines = text.split('\n');
+  return {
+    start: { line: 0, character: 0 },
+    end: { line: lines.length - 1, character: lines[lines.length - 1].length }
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+new LanguageServer(process.stdin, process.stdout).start();
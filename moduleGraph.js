@@ -0,0 +1,248 @@
+import path from 'path';
+
+import ts from 'typescript';
+
+// File level dependency graph built from the imports the program resolved
+class ModuleGraph {
+  constructor(program, sourceFiles, workspace) {
+    this.program = program;
+    this.checker = program.getTypeChecker();
+    this.workspace = workspace;
+    this.files = new Set(sourceFiles.map((file) => file.fileName));
+    this.dependencies = new Map(); // Files each file imports
+    this.dependents = new Map(); // Files importing each file
+    this.externalImports = new Map(); // Specifier nodes importing each package
+
+    this.files.forEach((file) => {
+      this.dependencies.set(file, new Set());
+      this.dependents.set(file, new Set());
+    });
+    sourceFiles.forEach((sourceFile) => this.addFile(sourceFile));
+  }
+
+  addFile(sourceFile) {
+    this.getModuleSpecifiers(sourceFile).forEach((specifier) => {
+      const target = this.resolveModule(specifier, sourceFile);
+      if (target && target !== sourceFile.fileName && this.files.has(target)) {
+        this.dependencies.get(sourceFile.fileName).add(target);
+        this.dependents.get(target).add(sourceFile.fileName);
+      }
+
+      // Path aliases resolve into the project, packages into node_modules
+      // or nowhere at all when they are not installed. Sibling workspace
+      // packages resolve into the project but are dependencies all the same.
+      const isProjectFile = target && !/[\\/]node_modules[\\/]/.test(target);
+      const packageName = this.getPackageName(specifier.text);
+      if (
+        packageName &&
+        (!isProjectFile || this.workspace.packageNames.has(packageName))
+      ) {
+        if (!this.externalImports.has(packageName)) {
+          this.externalImports.set(packageName, []);
+        }
+        this.externalImports.get(packageName).push(specifier);
+      }
+    });
+  }
+
+  // `lodash/fp` -> `lodash`, `@scope/pkg/sub` -> `@scope/pkg`; undefined for
+  // relative, absolute, `#internal` and `node:` style specifiers
+  getPackageName(specifier) {
+    if (
+      /^[./#]/.test(specifier) ||
+      specifier.includes(':') ||
+      path.isAbsolute(specifier)
+    ) {
+      return undefined;
+    }
+
+    const parts = specifier.split('/');
+    return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+  }
+
+  getModuleSpecifiers(sourceFile) {
+    const specifiers = [];
+
+    const visit = (node) => {
+      // import ... from './x', export ... from './x'
+      if (
+        (ts.isImportDeclaration(node) || ts.isExportDeclaration(node)) &&
+        node.moduleSpecifier
+      ) {
+        specifiers.push(node.moduleSpecifier);
+      }
+
+      // import x = require('./x')
+      if (ts.isExternalModuleReference(node)) {
+        specifiers.push(node.expression);
+      }
+
+      // import('./x') and require('./x')
+      if (
+        ts.isCallExpression(node) &&
+        (node.expression.kind === ts.SyntaxKind.ImportKeyword ||
+          (ts.isIdentifier(node.expression) &&
+            node.expression.text === 'require')) &&
+        node.arguments.length > 0 &&
+        ts.isStringLiteralLike(node.arguments[0])
+      ) {
+        specifiers.push(node.arguments[0]);
+      }
+
+      // type T = import('./x').T
+      if (
+        ts.isImportTypeNode(node) &&
+        ts.isLiteralTypeNode(node.argument) &&
+        ts.isStringLiteral(node.argument.literal)
+      ) {
+        specifiers.push(node.argument.literal);
+      }
+
+      ts.forEachChild(node, visit);
+    };
+
+    visit(sourceFile);
+    return specifiers;
+  }
+
+  // Resolves a specifier the way the compiler does for the loaded options, so
+  // `paths`, `baseUrl`, index files and `.js` suffixed ESM imports all land
+  // on the source file they point to
+  resolveModule(specifier, sourceFile) {
+    const symbol = this.checker.getSymbolAtLocation(specifier);
+    const declaration = symbol && symbol.valueDeclaration;
+    if (declaration && ts.isSourceFile(declaration)) {
+      return this.workspace.toSourceFile(declaration.fileName);
+    }
+
+    // The checker only resolves require() in JavaScript files
+    return this.workspace.resolveModule(specifier, sourceFile);
+  }
+
+  findReachable(entryFiles) {
+    return this.walk(entryFiles, this.dependencies);
+  }
+
+  // The files along with everything importing them, directly or not
+  findDependents(files) {
+    return this.walk(files, this.dependents);
+  }
+
+  walk(files, edges) {
+    const reached = new Set(files);
+    const queue = [...files];
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      (edges.get(file) || []).forEach((next) => {
+        if (!reached.has(next)) {
+          reached.add(next);
+          queue.push(next);
+        }
+      });
+    }
+
+    return reached;
+  }
+
+  findUnreachable(entryFiles) {
+    const reachable = this.findReachable(entryFiles);
+
+    return Array.from(this.files)
+      .filter((file) => !reachable.has(file))
+      .map((file) => ({
+        file,
+        importers: Array.from(this.dependents.get(file)),
+        chain: this.getImportChain(file)
+      }));
+  }
+
+  // Walks up the importers of an unreachable file to one that is never
+  // imported at all; importing that file would make the whole chain reachable
+  getImportChain(file) {
+    const previous = new Map([[file, null]]);
+    const queue = [file];
+    let root = file;
+
+    while (queue.length > 0) {
+      root = queue.shift();
+      const importers = this.dependents.get(root);
+      if (importers.size === 0) break;
+
+      importers.forEach((importer) => {
+        if (!previous.has(importer)) {
+          previous.set(importer, root);
+          queue.push(importer);
+        }
+      });
+    }
+
+    const chain = [];
+    for (let current = root; current; current = previous.get(current)) {
+      chain.push(current);
+    }
+    return chain;
+  }
+
+  // Graphviz source of the import graph. Entry files are drawn bold,
+  // unreachable files red.
+  toDot(relative, entryFiles = [], unreachableFiles = []) {
+    const quote = (text) => `"${String(text).replace(/[\\"]/g, '\\$&')}"`;
+    const lines = ['digraph imports {', '  rankdir=LR;', '  node [shape=box];'];
+
+    this.files.forEach((file) => {
+      const attributes = [`label=${quote(relative(file))}`];
+      if (entryFiles.includes(file)) attributes.push('style=bold');
+      if (unreachableFiles.includes(file))
+        attributes.push('color=red', 'fontcolor=red');
+      lines.push(`  ${quote(file)} [${attributes.join(', ')}];`);
+    });
+    this.dependencies.forEach((targets, file) => {
+      targets.forEach((target) =>
+        lines.push(`  ${quote(file)} -> ${quote(target)};`)
+      );
+    });
+    lines.push('}');
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Mermaid flowchart of the import graph, styled like toDot
+  toMermaid(relative, entryFiles = [], unreachableFiles = []) {
+    const ids = new Map(
+      Array.from(this.files, (file, index) => [file, `m${index}`])
+    );
+    const lines = [
+      'flowchart LR',
+      '  classDef entry stroke-width:3px;',
+      '  classDef unreachable stroke:#d00,color:#d00;'
+    ];
+
+    ids.forEach((id, file) => {
+      const label = relative(file).replace(/"/g, '#quot;');
+      lines.push(`  ${id}["${label}"]`);
+      if (entryFiles.includes(file)) lines.push(`  class ${id} entry`);
+      if (unreachableFiles.includes(file)) lines.push(`  class ${id} unreachable`);
+    });
+    this.dependencies.forEach((targets, file) => {
+      targets.forEach((target) =>
+        lines.push(`  ${ids.get(file)} --> ${ids.get(target)}`)
+      );
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// require('./file') with a literal specifier
+function isRequireCall(node) {
+  return (
+    ts.isCallExpression(node) &&
+    ts.isIdentifier(node.expression) &&
+    node.expression.text === 'require' &&
+    node.arguments.length === 1 &&
+    ts.isStringLiteralLike(node.arguments[0])
+  );
+}
+
+export { ModuleGraph, isRequireCall };
@@ -0,0 +1,207 @@
+import { globToRegExp } from './globs.js';
+
+// Plugins describe the conventions of frameworks: files they load by
+// themselves, exports and decorated classes they call and names they provide.
+// A plugin is a plain object, every field is optional:
+//
+//   {
+//     name: 'next',
+//     // Enabled when the project's package.json lists one of these packages
+//     // (`*` wildcards), which then count as used. Defaults to always.
+//     dependencies: ['next'],
+//     // Globs relative to the project, all their exports are used
+//     entries: ['pages/**/*.tsx'],
+//     // Globs relative to the project of files only tests and tools use, like
+//     // tests and stories themselves
+//     nonProduction: ['**/__mocks__/**'],
+//     // Exports used by name, in the files matching `files` or in any file
+//     usedExports: [{ files: ['app/**/page.tsx'], names: ['generateMetadata'] }],
+//     // Declarations with one of these decorators are used, classes along
+//     // with their members
+//     decorators: ['Component'],
+//     // Global names that are never reported
+//     builtins: ['React'],
+//     // Member names the framework calls, e.g. lifecycle hooks
+//     members: ['ngOnInit'],
+//     // Anything else, gets { name, type, file, exportName, decorators, node }
+//     isUsed: (declaration) => false
+//   }
+
+const scriptExtensions = '{ts,tsx,mts,cts,js,jsx,mjs,cjs}';
+
+// Globals of the platform and of React, which used to be hardcoded
+const javascriptPlugin = {
+  name: 'javascript',
+  builtins: [
+    'Array',
+    'Boolean',
+    'Date',
+    'Error',
+    'Function',
+    'Number',
+    'Object',
+    'RegExp',
+    'String',
+    'Symbol',
+    'Promise',
+    'Map',
+    'Set',
+    'WeakMap',
+    'WeakSet',
+    'React',
+    'ReactNode',
+    'ReactElement',
+    'Component',
+    'FC',
+    'FunctionComponent',
+    'console',
+    'window',
+    'document',
+    'process',
+    'global',
+    'setTimeout',
+    'setInterval',
+    'clearTimeout',
+    'clearInterval',
+    'require',
+    'exports',
+    'module',
+    '__dirname',
+    '__filename'
+  ]
+};
+
+const appRouterFiles =
+  '{page,layout,template,loading,error,global-error,not-found,default,route}';
+
+const nextPlugin = {
+  name: 'next',
+  dependencies: ['next'],
+  entries: [
+    `{src/,}pages/**/*.${scriptExtensions}`,
+    `{src/,}app/**/${appRouterFiles}.${scriptExtensions}`,
+    `{src/,}{middleware,instrumentation}.${scriptExtensions}`,
+    `next.config.${scriptExtensions}`
+  ]
+};
+
+const angularPlugin = {
+  name: 'angular',
+  dependencies: ['@angular/*'],
+  entries: [`src/main.${scriptExtensions}`, `src/polyfills.${scriptExtensions}`],
+  // Templates use the members of components, which we cannot see
+  decorators: ['Component', 'Directive', 'Pipe', 'Injectable', 'NgModule'],
+  members: [
+    'ngOnChanges',
+    'ngOnInit',
+    'ngDoCheck',
+    'ngAfterContentInit',
+    'ngAfterContentChecked',
+    'ngAfterViewInit',
+    'ngAfterViewChecked',
+    'ngOnDestroy',
+    'canActivate',
+    'canDeactivate',
+    'resolve',
+    'transform',
+    'writeValue',
+    'registerOnChange',
+    'registerOnTouched',
+    'setDisabledState'
+  ]
+};
+
+const nestPlugin = {
+  name: 'nestjs',
+  dependencies: ['@nestjs/*'],
+  entries: [`src/main.${scriptExtensions}`],
+  decorators: [
+    'Module',
+    'Controller',
+    'Injectable',
+    'Resolver',
+    'Catch',
+    'WebSocketGateway',
+    'Get',
+    'Post',
+    'Put',
+    'Patch',
+    'Delete',
+    'Options',
+    'Head',
+    'All',
+    'Query',
+    'Mutation',
+    'Subscription',
+    'ResolveField',
+    'MessagePattern',
+    'EventPattern',
+    'SubscribeMessage',
+    'Cron',
+    'Interval',
+    'Timeout',
+    'OnEvent'
+  ],
+  members: [
+    'onModuleInit',
+    'onModuleDestroy',
+    'onApplicationBootstrap',
+    'beforeApplicationShutdown',
+    'onApplicationShutdown',
+    'canActivate',
+    'intercept',
+    'catch',
+    'transform',
+    'use',
+    'configure'
+  ]
+};
+
+const storybookPlugin = {
+  name: 'storybook',
+  dependencies: ['storybook', '@storybook/*'],
+  nonProduction: [`.storybook/**`],
+  // Stories are read by Storybook, their default export holds the metadata
+  usedExports: [{ files: ['**/*.stories.*'], names: ['default'] }]
+};
+
+const jestPlugin = {
+  name: 'jest',
+  dependencies: ['jest', 'ts-jest', 'babel-jest', 'jest-environment-*'],
+  nonProduction: [
+    `jest.config.${scriptExtensions}`,
+    `jest.{setup,setup-after-env,global-setup,global-teardown}.${scriptExtensions}`,
+    `{src/,}setupTests.${scriptExtensions}`,
+    '**/__mocks__/**'
+  ]
+};
+
+const builtinPlugins = [
+  javascriptPlugin,
+  nextPlugin,
+  angularPlugin,
+  nestPlugin,
+  storybookPlugin,
+  jestPlugin
+];
+
+function isPluginEnabled(plugin, packageJson = {}) {
+  if (!plugin.dependencies) return true;
+
+  const dependencies = [
+    'dependencies',
+    'devDependencies',
+    'peerDependencies',
+    'optionalDependencies'
+  ].flatMap((field) => Object.keys(packageJson[field] || {}));
+  return dependencies.some((name) => isPluginDependency(plugin, name));
+}
+
+// Packages of the framework, which it loads by itself
+function isPluginDependency(plugin, name) {
+  return (plugin.dependencies || []).some((pattern) =>
+    globToRegExp(pattern).test(name)
+  );
+}
+
+export { builtinPlugins, isPluginDependency, isPluginEnabled };
@@ -0,0 +1,184 @@
+import path from 'path';
+
+import { getFindingKey } from './baseline.js';
+import { toHtml } from './htmlReport.js';
+
+const formats = ['json', 'sarif', 'junit', 'github', 'markdown', 'html'];
+const ruleDescriptions = {
+  file: 'File is not reachable from any entry point',
+  import: 'Imported binding is never used',
+  'test-only': 'Only used by tests and stories',
+  unreachable: 'Code never runs',
+  typeOnly: 'Class or enum is only used as a type',
+  typeImport: 'Value import is only used as a type',
+  leakedType: 'Type is used by the public API but not exported',
+  dependency: 'Dependency is listed in package.json but never imported',
+  unlistedDependency: 'Package is imported but not listed in package.json'
+};
+
+// Renders the report built by findUnusedCode in one of the supported formats.
+// Paths are written relative to baseDir, which is what code scanning, CI test
+// reports and annotations expect.
+function formatReport(format, report, baseDir = process.cwd()) {
+  const relative = (file) => path.relative(baseDir, file).replace(/\\/g, '/');
+
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(report, null, 2)}\n`;
+    case 'sarif':
+      return `${JSON.stringify(toSarif(report.items, relative, baseDir), null, 2)}\n`;
+    case 'junit':
+      return toJUnit(report.items, relative);
+    case 'github':
+      return toGitHubAnnotations(report.items, relative);
+    case 'markdown':
+      return toMarkdown(report.items, relative);
+    case 'html':
+      return toHtml(report, relative);
+    default:
+      throw new Error(
+        `Unknown format "${format}", expected one of: ${formats.join(', ')}`
+      );
+  }
+}
+
+function describeRule(type) {
+  return ruleDescriptions[type] || `Unused ${type}`;
+}
+
+function getMessage(item) {
+  return `${item.name}: ${item.reason}`;
+}
+
+function toSarif(items, relative, baseDir) {
+  const ruleIds = Array.from(new Set(items.map((item) => item.type)));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'findDeadCode',
+            rules: ruleIds.map((id) => ({
+              id,
+              shortDescription: { text: describeRule(id) },
+              defaultConfiguration: { level: 'warning' }
+            }))
+          }
+        },
+        results: items.map((item) => ({
+          ruleId: item.type,
+          ruleIndex: ruleIds.indexOf(item.type),
+          level: item.severity === 'error' ? 'error' : 'warning',
+          message: { text: getMessage(item) },
+          // Same line independent key as baselines, so code scanning tracks
+          // findings across commits
+          partialFingerprints: { 'deadCode/v1': getFindingKey(item, baseDir) },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: {
+                  uri: relative(item.file),
+                  uriBaseId: '%SRCROOT%'
+                },
+                region: { startLine: item.line }
+              }
+            }
+          ]
+        }))
+      }
+    ]
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One test suite per finding type, every finding is a failed test case
+function toJUnit(items, relative) {
+  const suites = new Map();
+  items.forEach((item) => {
+    if (!suites.has(item.type)) suites.set(item.type, []);
+    suites.get(item.type).push(item);
+  });
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="dead code" tests="${items.length}" failures="${items.length}">`
+  ];
+  suites.forEach((suiteItems, type) => {
+    lines.push(
+      `  <testsuite name="${escapeXml(type)}" tests="${suiteItems.length}" failures="${suiteItems.length}">`
+    );
+    suiteItems.forEach((item) => {
+      const location = `${relative(item.file)}:${item.line}`;
+      lines.push(
+        `    <testcase classname="${escapeXml(relative(item.file))}" name="${escapeXml(`${item.type} ${item.name}`)}">`,
+        `      <failure message="${escapeXml(item.reason)}" type="${escapeXml(type)}">${escapeXml(location)}</failure>`,
+        '    </testcase>'
+      );
+    });
+    lines.push('  </testsuite>');
+  });
+  lines.push('</testsuites>');
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Workflow commands, see "Setting a warning message" in the GitHub Actions docs
+function toGitHubAnnotations(items, relative) {
+  const escapeData = (text) =>
+    String(text).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+  const escapeProperty = (text) =>
+    escapeData(text).replace(/:/g, '%3A').replace(/,/g, '%2C');
+
+  return items
+    .map((item) => {
+      const properties = [
+        `file=${escapeProperty(relative(item.file))}`,
+        `line=${item.line}`,
+        `title=${escapeProperty(describeRule(item.type))}`
+      ];
+      const command = item.severity === 'error' ? 'error' : 'warning';
+      return `::${command} ${properties.join(',')}::${escapeData(getMessage(item))}\n`;
+    })
+    .join('');
+}
+
+function toMarkdown(items, relative) {
+  const escapeCell = (text) =>
+    String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+  if (items.length === 0) {
+    return '## Dead code report\n\nNo unused code found.\n';
+  }
+
+  const lines = ['## Dead code report', '', `Found ${items.length} unused items.`];
+  const types = Array.from(new Set(items.map((item) => item.type)));
+  types.forEach((type) => {
+    const typeItems = items.filter((item) => item.type === type);
+    lines.push(
+      '',
+      `### ${describeRule(type)} (${typeItems.length})`,
+      '',
+      '| Name | Location | Reason |',
+      '| --- | --- | --- |'
+    );
+    typeItems.forEach((item) => {
+      lines.push(
+        `| \`${escapeCell(item.name)}\` | ${escapeCell(`${relative(item.file)}:${item.line}`)} | ${escapeCell(item.reason)} |`
+      );
+    });
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+export { formatReport, formats };
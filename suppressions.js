@@ -0,0 +1,53 @@
+import ts from 'typescript';
+
+const fileDirective = /\/[*/]\s*dead-code-ignore-file\b/;
+const nextLineDirective = /\/[*/]\s*dead-code-ignore-next-line\b/;
+const keepTags = new Set(['public', 'internal-keep']);
+
+// `/* dead-code-ignore-file */` in the comments heading the file, or
+// `// dead-code-ignore-next-line` on the line above the finding. The line
+// directive may also sit above the JSDoc block of the declaration.
+function getCommentSuppression(sourceFile, line) {
+  if (hasFileDirective(sourceFile)) return 'dead-code-ignore-file';
+
+  const lineStarts = sourceFile.getLineStarts();
+  const getLine = (index) =>
+    sourceFile.text.slice(
+      lineStarts[index],
+      lineStarts[index + 1] || sourceFile.end
+    );
+
+  // Lines are 1-based, the line above the finding has index line - 2
+  let previous = line - 2;
+  if (previous < 0) return undefined;
+  if (nextLineDirective.test(getLine(previous))) return 'dead-code-ignore-next-line';
+
+  if (/\*\/\s*$/.test(getLine(previous))) {
+    while (previous >= 0 && !getLine(previous).includes('/*')) previous--;
+    previous--;
+  }
+  return previous >= 0 && nextLineDirective.test(getLine(previous))
+    ? 'dead-code-ignore-next-line'
+    : undefined;
+}
+
+// Only comments before the first statement count, so the directive inside a
+// string or further down the file does not silence all of it
+function hasFileDirective({ text }) {
+  const comments = ts.getLeadingCommentRanges(text, 0) || [];
+  return comments.some(({ pos, end }) => fileDirective.test(text.slice(pos, end)));
+}
+
+// `@public` or `@internal-keep` in the JSDoc of a declaration marks it as used.
+// The JSDoc of `export const a = 1, b = 2` covers every declarator.
+function getKeepTag(node) {
+  const tags = [...ts.getJSDocTags(node)];
+  if (ts.isVariableDeclaration(node) && ts.isVariableStatement(node.parent.parent)) {
+    tags.push(...ts.getJSDocTags(node.parent.parent));
+  }
+
+  const tag = tags.find((candidate) => keepTags.has(candidate.tagName.text));
+  return tag && `@${tag.tagName.text}`;
+}
+
+export { getCommentSuppression, getKeepTag };
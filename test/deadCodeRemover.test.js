@@ -0,0 +1,67 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { DeadCodeRemover } from '../deadCodeRemover.js';
+import { UnusedCodeDetector } from '../findDeadCode.js';
+import { createFixture, removeFixture } from './helpers.js';
+
+describe('DeadCodeRemover', () => {
+  describe('require bindings', () => {
+    let dir;
+    let detector;
+    let found;
+
+    before(() => {
+      dir = createFixture({
+        'package.json': '{ "name": "fixture", "main": "index.js" }',
+        'index.js': [
+          "const { a, b } = require('./x');",
+          "const whole = require('./x');",
+          '',
+          'function inner() {',
+          "  const { d } = require('./x');",
+          '  return 1;',
+          '}',
+          '',
+          'module.exports = { b, inner };',
+          ''
+        ].join('\n'),
+        'x.js': 'module.exports = { a: 1, b: 2, d: 4 };\n'
+      });
+      detector = new UnusedCodeDetector({ projectPath: dir });
+      found = detector.analyze();
+    });
+
+    after(() => removeFixture(dir));
+
+    const plan = (name) => {
+      const item = found.find(
+        (candidate) => candidate.type === 'import' && candidate.name === name
+      );
+      assert.ok(item, `${name} is reported as an unused import`);
+      return new DeadCodeRemover(detector).planChanges(item, 'delete');
+    };
+
+    it('removes an unused name from a destructuring require', () => {
+      const { changes } = plan('a');
+      assert.equal(changes.length, 1);
+      assert.match(changes[0].after, /^const \{ b \} = require\('\.\/x'\);\n/);
+    });
+
+    it('removes a require statement without used names', () => {
+      const { changes } = plan('whole');
+      assert.equal(changes.length, 1);
+      assert.doesNotMatch(changes[0].after, /whole/);
+      assert.match(changes[0].after, /^const \{ a, b \} = require\('\.\/x'\);\n\n/);
+    });
+
+    it('skips requires inside functions instead of counting them as removed', () => {
+      const { changes, skippedBecause } = plan('d');
+      assert.deepEqual(changes, []);
+      assert.equal(
+        skippedBecause,
+        'require bindings are only removed at the top level'
+      );
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+import { DeadCodeRemover } from '../deadCodeRemover.js';
+import { UnusedCodeDetector } from '../findDeadCode.js';
+import { createFixture, removeFixture } from './helpers.js';
+
+describe('UnusedCodeDetector', () => {
+  describe('types leaking from the public API', () => {
+    let dir;
+    let detector;
+    let found;
+
+    before(() => {
+      dir = createFixture({
+        'package.json': '{ "name": "fixture", "main": "src/index.ts" }',
+        'tsconfig.json':
+          '{ "compilerOptions": { "strict": true }, "include": ["src"] }',
+        'src/index.ts': [
+          'interface Shape { x: number; origin: Point }',
+          'interface Point { y: number }',
+          '',
+          'export function main(s: Shape) {',
+          '  return s;',
+          '}',
+          ''
+        ].join('\n')
+      });
+      detector = new UnusedCodeDetector({ projectPath: dir });
+      found = detector.analyze();
+    });
+
+    after(() => removeFixture(dir));
+
+    it('reports types the public signatures expose, transitively', () => {
+      const leaked = found
+        .filter((item) => item.type === 'leakedType')
+        .map((item) => item.name);
+      assert.deepEqual(leaked.sort(), ['Point', 'Shape']);
+    });
+
+    it('keeps their members as public surface', () => {
+      const members = found.filter((item) => item.type === 'property');
+      assert.deepEqual(members, []);
+    });
+
+    it('leaves them to review when fixing', () => {
+      const shape = found.find((item) => item.name === 'Shape');
+      const { changes } = new DeadCodeRemover(detector).planChanges(shape, 'delete');
+      assert.deepEqual(changes, []);
+    });
+  });
+
+  describe('include globs', () => {
+    let dir;
+    let detector;
+    let found;
+
+    before(() => {
+      dir = createFixture({
+        'package.json': '{ "name": "fixture", "main": "src/index.ts" }',
+        'tsconfig.json': '{ "include": ["src"] }',
+        'src/index.ts': [
+          "import './lib/a';",
+          "import './other/b';",
+          'export const main = 1;',
+          ''
+        ].join('\n'),
+        'src/lib/a.ts': 'export const inLib = 1;\n',
+        'src/other/b.ts': [
+          'export const outside = 1;',
+          '// dead-code-ignore-next-line',
+          'export const ignored = 1;',
+          '/** @public */',
+          'export const tagged = 1;',
+          ''
+        ].join('\n')
+      });
+      detector = new UnusedCodeDetector({ projectPath: dir });
+      detector.addIncludePatterns([`${dir}/src/lib/**`]);
+      found = detector.analyze();
+    });
+
+    after(() => removeFixture(dir));
+
+    it('only reports findings in the included files', () => {
+      assert.deepEqual(
+        found.map((item) => item.name),
+        ['inLib']
+      );
+    });
+
+    it('does not count the others as suppressed', () => {
+      assert.deepEqual(detector.suppressed, []);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+
+import { findAffectedByChanges, getChangesSince } from '../gitHistory.js';
+import { createFixture, removeFixture } from './helpers.js';
+
+describe('findAffectedByChanges', () => {
+  const wrap = { name: 'wrap', type: 'function', file: '/p/index.ts', line: 8 };
+  const helper = {
+    name: 'helper',
+    type: 'function',
+    file: '/p/lib.ts',
+    line: 1,
+    keptAliveBy: [{ name: 'wrap', type: 'function', file: '/p/index.ts', line: 8 }]
+  };
+  const untouched = { name: 'old', type: 'function', file: '/p/old.ts', line: 1 };
+
+  it('includes code kept alive only by findings the change caused', () => {
+    const changes = {
+      changedLines: new Map([['/p/index.ts', new Set([5])]]),
+      removedReferences: new Set(['/p/index.ts\0wrap'])
+    };
+    const affected = findAffectedByChanges([helper, wrap, untouched], changes);
+    assert.deepEqual(affected, [helper, wrap]);
+  });
+
+  it('leaves out findings the change has nothing to do with', () => {
+    const changes = { changedLines: new Map(), removedReferences: new Set() };
+    assert.deepEqual(findAffectedByChanges([helper, wrap, untouched], changes), []);
+  });
+});
+
+describe('getChangesSince', () => {
+  let dir;
+  let changes;
+  const finding = (name, file, line, exported = true) => ({
+    name,
+    type: 'function',
+    file: path.join(dir, file),
+    line,
+    exported
+  });
+
+  before(() => {
+    dir = createFixture({
+      'helpers.ts': [
+        'export function used() { return 1; }',
+        "export function format() { return 'x'; }",
+        ''
+      ].join('\n'),
+      'other.ts': 'function format() { return 2; }\n',
+      'index.ts': [
+        "import { used, format } from './helpers';",
+        'export const value = used() + format();',
+        ''
+      ].join('\n')
+    });
+    const git = (...args) =>
+      execFileSync('git', args, { cwd: dir, stdio: ['ignore', 'pipe', 'pipe'] });
+    git('init', '-q');
+    git('add', '-A');
+    git(
+      '-c',
+      'user.email=test@example.com',
+      '-c',
+      'user.name=test',
+      'commit',
+      '-qm',
+      'base'
+    );
+
+    fs.writeFileSync(
+      path.join(dir, 'index.ts'),
+      "import { format } from './helpers';\nexport const value = format();\n"
+    );
+    const resolveModule = (specifier, sourceFile) =>
+      `${path.resolve(path.dirname(sourceFile.fileName), specifier.text)}.ts`;
+    changes = getChangesSince('HEAD', dir, resolveModule);
+  });
+
+  after(() => removeFixture(dir));
+
+  const isAffected = (item) => findAffectedByChanges([item], changes).length > 0;
+
+  it('reports what lost its last reference', () => {
+    assert.ok(isAffected(finding('used', 'helpers.ts', 1)));
+  });
+
+  it('ignores names still referenced, and the same names in other files', () => {
+    assert.ok(!isAffected(finding('format', 'helpers.ts', 2)));
+    assert.ok(!isAffected(finding('format', 'other.ts', 1, false)));
+  });
+});
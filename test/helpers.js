@@ -0,0 +1,21 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Writes the files, given by path relative to the project, into a new
+// temporary directory and returns its path
+function createFixture(files) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'deadcode-')));
+  Object.entries(files).forEach(([file, text]) => {
+    const fileName = path.join(dir, file);
+    fs.mkdirSync(path.dirname(fileName), { recursive: true });
+    fs.writeFileSync(fileName, text);
+  });
+  return dir;
+}
+
+function removeFixture(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+export { createFixture, removeFixture };
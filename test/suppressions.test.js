@@ -0,0 +1,38 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+
+import ts from 'typescript';
+
+import { getCommentSuppression } from '../suppressions.js';
+
+const parse = (lines) =>
+  ts.createSourceFile('file.ts', lines.join('\n'), ts.ScriptTarget.Latest, true);
+
+describe('getCommentSuppression', () => {
+  it('honors the file directive in the comments heading the file', () => {
+    const sourceFile = parse([
+      '#!/usr/bin/env node',
+      '// Generated, do not edit',
+      '/* dead-code-ignore-file */',
+      'export const a = 1;'
+    ]);
+    assert.equal(getCommentSuppression(sourceFile, 4), 'dead-code-ignore-file');
+  });
+
+  it('ignores the file directive inside strings', () => {
+    const sourceFile = parse([
+      "export const usage = '// dead-code-ignore-file';",
+      'export const a = 1;'
+    ]);
+    assert.equal(getCommentSuppression(sourceFile, 2), undefined);
+  });
+
+  it('ignores the file directive below the first statement', () => {
+    const sourceFile = parse([
+      'export const a = 1;',
+      '/* dead-code-ignore-file */',
+      'export const b = 1;'
+    ]);
+    assert.equal(getCommentSuppression(sourceFile, 1), undefined);
+  });
+});
@@ -0,0 +1,113 @@
+// Line based Myers diff, rendered in the unified format used by `git diff`
+function diffLines(before, after) {
+  const n = before.length;
+  const m = after.length;
+  const offset = n + m;
+  const trace = [];
+  let v = new Array(2 * offset + 2).fill(0);
+
+  search: for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && before[x] === after[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    v = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: before[--x] });
+      y--;
+    }
+    if (d > 0) {
+      ops.push(
+        x === prevX
+          ? { type: '+', line: after[--y] }
+          : { type: '-', line: before[--x] }
+      );
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+}
+
+function createUnifiedDiff(fileName, beforeText, afterText, context = 3) {
+  const splitLines = (text) => {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  };
+  const ops = diffLines(splitLines(beforeText), splitLines(afterText));
+
+  // Remember where every operation sits in the old and new file
+  let oldLine = 1;
+  let newLine = 1;
+  ops.forEach((op) => {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  });
+
+  const hunks = [];
+  let index = 0;
+  while (index < ops.length) {
+    if (ops[index].type === ' ') {
+      index++;
+      continue;
+    }
+
+    const prevStop = hunks.length ? hunks[hunks.length - 1].stop : 0;
+    const start = Math.max(prevStop, index - context);
+    let lastChange = index;
+    let cursor = index;
+    while (cursor < ops.length) {
+      if (ops[cursor].type !== ' ') lastChange = cursor;
+      else if (cursor - lastChange > 2 * context) break;
+      cursor++;
+    }
+    const stop = Math.min(ops.length, lastChange + context + 1);
+    hunks.push({ start, stop });
+    index = stop;
+  }
+
+  if (hunks.length === 0) return '';
+
+  const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  hunks.forEach(({ start, stop }) => {
+    const hunkOps = ops.slice(start, stop);
+    const oldCount = hunkOps.filter((op) => op.type !== '+').length;
+    const newCount = hunkOps.filter((op) => op.type !== '-').length;
+    const oldStart = oldCount ? hunkOps[0].oldLine : hunkOps[0].oldLine - 1;
+    const newStart = newCount ? hunkOps[0].newLine : hunkOps[0].newLine - 1;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    hunkOps.forEach((op) => lines.push(`${op.type}${op.line}`));
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+export { createUnifiedDiff };
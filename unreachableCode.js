@@ -0,0 +1,203 @@
+import ts from 'typescript';
+
+const unknown = Symbol('unknown');
+
+// Statements that never run: those after a return, throw, break or continue,
+// and branches of conditions with a constant value. Besides literals, the
+// expressions listed in `constants` count as constant, e.g.
+// `{ 'process.env.NODE_ENV': 'production' }`.
+function findUnreachableCode(sourceFile, constants = {}) {
+  const found = [];
+  const report = (node, name, reason) => found.push({ node, name, reason });
+
+  const visitStatements = (statements) => {
+    const exitIndex = statements.findIndex(exitsAbruptly);
+    if (exitIndex === -1) return;
+
+    const first = statements.slice(exitIndex + 1).find(isExecutable);
+    if (first) {
+      report(
+        first,
+        describe(first, sourceFile),
+        describeExit(statements[exitIndex])
+      );
+    }
+  };
+
+  // Only the branch that runs is visited further
+  const visitBranches = (condition, whenTrue, whenFalse) => {
+    const value = evaluate(condition, constants);
+    const name = condition.getText(sourceFile);
+    visit(condition);
+
+    if (value === unknown) {
+      visit(whenTrue);
+      if (whenFalse) visit(whenFalse);
+    } else if (value) {
+      visit(whenTrue);
+      if (whenFalse) {
+        report(
+          whenFalse,
+          name,
+          'Condition is always true, so this branch never runs'
+        );
+      }
+    } else {
+      report(whenTrue, name, 'Condition is always false, so this branch never runs');
+      if (whenFalse) visit(whenFalse);
+    }
+  };
+
+  const visit = (node) => {
+    if (ts.isIfStatement(node)) {
+      visitBranches(node.expression, node.thenStatement, node.elseStatement);
+      return;
+    }
+    if (ts.isConditionalExpression(node)) {
+      visitBranches(node.condition, node.whenTrue, node.whenFalse);
+      return;
+    }
+
+    if (
+      ts.isBlock(node) ||
+      ts.isModuleBlock(node) ||
+      ts.isCaseClause(node) ||
+      ts.isDefaultClause(node)
+    ) {
+      visitStatements(node.statements);
+    }
+    ts.forEachChild(node, visit);
+  };
+
+  visitStatements(sourceFile.statements);
+  ts.forEachChild(sourceFile, visit);
+  return found;
+}
+
+function exitsAbruptly(statement) {
+  if (
+    ts.isReturnStatement(statement) ||
+    ts.isThrowStatement(statement) ||
+    ts.isBreakStatement(statement) ||
+    ts.isContinueStatement(statement)
+  ) {
+    return true;
+  }
+  if (ts.isBlock(statement)) return statement.statements.some(exitsAbruptly);
+  return (
+    ts.isIfStatement(statement) &&
+    Boolean(statement.elseStatement) &&
+    exitsAbruptly(statement.thenStatement) &&
+    exitsAbruptly(statement.elseStatement)
+  );
+}
+
+function describeExit(statement) {
+  if (ts.isReturnStatement(statement)) return 'Follows a return statement';
+  if (ts.isThrowStatement(statement)) return 'Follows a throw statement';
+  if (ts.isBreakStatement(statement)) return 'Follows a break statement';
+  if (ts.isContinueStatement(statement)) return 'Follows a continue statement';
+  return 'Follows a statement that always returns or throws';
+}
+
+// Function declarations are hoisted and types do not run, so neither is dead
+// just because it comes after a return. Neither is `var x;`.
+function isExecutable(statement) {
+  if (
+    ts.isFunctionDeclaration(statement) ||
+    ts.isInterfaceDeclaration(statement) ||
+    ts.isTypeAliasDeclaration(statement) ||
+    ts.isEmptyStatement(statement)
+  ) {
+    return false;
+  }
+  if (ts.isVariableStatement(statement)) {
+    const { declarationList } = statement;
+    const isVar = !(declarationList.flags & ts.NodeFlags.BlockScoped);
+    return !isVar || declarationList.declarations.some((decl) => decl.initializer);
+  }
+  return true;
+}
+
+// First line of the statement, which identifies the finding in baselines
+function describe(node, sourceFile) {
+  const [firstLine] = node.getText(sourceFile).split(/\r?\n/);
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+}
+
+// `process.env.NODE_ENV` and `process.env['NODE_ENV']`
+function getConstantName(node) {
+  if (ts.isIdentifier(node)) return node.text;
+  if (ts.isPropertyAccessExpression(node) && ts.isIdentifier(node.name)) {
+    const object = getConstantName(node.expression);
+    return object && `${object}.${node.name.text}`;
+  }
+  if (
+    ts.isElementAccessExpression(node) &&
+    ts.isStringLiteralLike(node.argumentExpression)
+  ) {
+    const object = getConstantName(node.expression);
+    return object && `${object}.${node.argumentExpression.text}`;
+  }
+  return undefined;
+}
+
+// The value of a constant expression, `unknown` for everything else
+function evaluate(node, constants) {
+  if (ts.isParenthesizedExpression(node)) {
+    return evaluate(node.expression, constants);
+  }
+
+  const name = getConstantName(node);
+  if (name && Object.prototype.hasOwnProperty.call(constants, name)) {
+    return constants[name];
+  }
+
+  switch (node.kind) {
+    case ts.SyntaxKind.TrueKeyword:
+      return true;
+    case ts.SyntaxKind.FalseKeyword:
+      return false;
+    case ts.SyntaxKind.NullKeyword:
+      return null;
+  }
+  if (ts.isIdentifier(node) && node.text === 'undefined') return undefined;
+  if (ts.isStringLiteralLike(node)) return node.text;
+  if (ts.isNumericLiteral(node)) return Number(node.text);
+
+  if (
+    ts.isPrefixUnaryExpression(node) &&
+    node.operator === ts.SyntaxKind.ExclamationToken
+  ) {
+    const value = evaluate(node.operand, constants);
+    return value === unknown ? unknown : !value;
+  }
+
+  if (ts.isBinaryExpression(node)) {
+    const left = evaluate(node.left, constants);
+    const right = evaluate(node.right, constants);
+    switch (node.operatorToken.kind) {
+      case ts.SyntaxKind.AmpersandAmpersandToken:
+        if (left === unknown) return unknown;
+        return left ? right : left;
+      case ts.SyntaxKind.BarBarToken:
+        if (left === unknown) return unknown;
+        return left ? left : right;
+    }
+    if (left === unknown || right === unknown) return unknown;
+    switch (node.operatorToken.kind) {
+      case ts.SyntaxKind.EqualsEqualsEqualsToken:
+        return left === right;
+      case ts.SyntaxKind.ExclamationEqualsEqualsToken:
+        return left !== right;
+      case ts.SyntaxKind.EqualsEqualsToken:
+        return left == right;
+      case ts.SyntaxKind.ExclamationEqualsToken:
+        return left != right;
+    }
+  }
+
+  return unknown;
+}
+
+export { findUnreachableCode };
@@ -0,0 +1,572 @@
+import fs from 'fs';
+import path from 'path';
+
+import ts from 'typescript';
+
+import { matchesGlob } from './globs.js';
+
+const sourceExtensions = [
+  '.ts',
+  '.tsx',
+  '.mts',
+  '.cts',
+  '.js',
+  '.jsx',
+  '.mjs',
+  '.cjs'
+];
+const configFileNames = ['tsconfig.json', 'jsconfig.json'];
+const jsConfigDefaults = {
+  allowJs: true,
+  allowSyntheticDefaultImports: true,
+  skipLibCheck: true,
+  noEmit: true
+};
+const resolvedExtensions = [
+  '.d.ts',
+  '.d.mts',
+  '.d.cts',
+  '.tsx',
+  '.ts',
+  '.mts',
+  '.cts',
+  '.jsx',
+  '.js',
+  '.mjs',
+  '.cjs',
+  '.json'
+];
+
+// The TypeScript projects analyzed together: a single tsconfig, or every
+// workspace package and referenced project of a monorepo. All of them are
+// compiled into one program so usages across packages share one checker.
+// File contents can be overridden in memory, files that only exist there are
+// analyzed as well.
+class Workspace {
+  constructor(rootDir, projects, { files = {}, logger = console } = {}) {
+    this.rootDir = rootDir;
+    this.projects = projects;
+    this.logger = logger;
+    this.fileOverrides = new Map(
+      Object.entries(files).map(([fileName, content]) => [
+        path.resolve(fileName).replace(/\\/g, '/'),
+        content
+      ])
+    );
+    this.files = new Set(projects.flatMap((project) => project.fileNames));
+    this.addOverriddenFiles();
+    this.packageNames = new Set(
+      projects.map((project) => project.name).filter(Boolean)
+    );
+    this.sourceFileCache = new Map();
+
+    // Module resolution sees the overrides too
+    this.host = {
+      fileExists: (fileName) =>
+        this.fileOverrides.has(fileName) || ts.sys.fileExists(fileName),
+      readFile: (fileName) =>
+        this.fileOverrides.has(fileName)
+          ? this.fileOverrides.get(fileName)
+          : ts.sys.readFile(fileName),
+      directoryExists: ts.sys.directoryExists,
+      getDirectories: ts.sys.getDirectories,
+      getCurrentDirectory: ts.sys.getCurrentDirectory,
+      realpath: ts.sys.realpath
+    };
+  }
+
+  addOverriddenFiles() {
+    this.fileOverrides.forEach((content, fileName) => {
+      if (sourceExtensions.some((extension) => fileName.endsWith(extension))) {
+        this.files.add(fileName);
+      }
+    });
+  }
+
+  // Overrides the content of a file, undefined goes back to the file on disk
+  setFileContent(fileName, content) {
+    const normalized = path.resolve(fileName).replace(/\\/g, '/');
+    if (content === undefined) {
+      this.fileOverrides.delete(normalized);
+    } else {
+      this.fileOverrides.set(normalized, content);
+    }
+    this.files = new Set(this.projects.flatMap((project) => project.fileNames));
+    this.addOverriddenFiles();
+  }
+
+  get isMonorepo() {
+    return this.projects.length > 1;
+  }
+
+  // An old program lets the compiler reuse what did not change
+  createProgram(oldProgram) {
+    const [{ options }] = this.projects;
+    const host = ts.createCompilerHost(options);
+    host.fileExists = this.host.fileExists;
+    host.readFile = this.host.readFile;
+    this.useWorkspaceResolution(host);
+
+    return ts.createProgram({
+      rootNames: Array.from(this.files),
+      options,
+      host,
+      oldProgram
+    });
+  }
+
+  // Rebuilds the program with a builder program whenever files change and
+  // hands every new program to onProgram, starting with the current files.
+  // Files added to or removed from the projects are picked up from their
+  // configs. Returns a function that stops watching.
+  watch(onProgram) {
+    const [{ options }] = this.projects;
+    const host = ts.createWatchCompilerHost(
+      Array.from(this.files),
+      options,
+      ts.sys,
+      ts.createSemanticDiagnosticsBuilderProgram,
+      // Type errors are the compiler's business, not ours
+      () => {},
+      () => {}
+    );
+    this.useWorkspaceResolution(host);
+    host.afterProgramCreate = (builderProgram) =>
+      onProgram(builderProgram.getProgram());
+
+    const watchProgram = ts.createWatchProgram(host);
+
+    let timer;
+    const directoryWatchers = this.projects.map((project) =>
+      ts.sys.watchDirectory(
+        project.dir,
+        (fileName) => {
+          if (/[\\/](node_modules|\.git)[\\/]/.test(fileName)) return;
+          clearTimeout(timer);
+          timer = setTimeout(() => {
+            if (this.reloadProjects()) {
+              watchProgram.updateRootFileNames(Array.from(this.files));
+            }
+          }, 250);
+        },
+        true
+      )
+    );
+
+    return () => {
+      clearTimeout(timer);
+      directoryWatchers.forEach((watcher) => watcher.close());
+      watchProgram.close();
+    };
+  }
+
+  // Reads the configs again, true when the set of files changed
+  reloadProjects() {
+    const previousFiles = this.files;
+    this.projects = this.projects.map((project) =>
+      project.configPath
+        ? loadProject(project.configPath, this.logger)
+        : synthesizeProject(project.dir, this.logger)
+    );
+    this.files = new Set(this.projects.flatMap((project) => project.fileNames));
+    this.addOverriddenFiles();
+    this.sourceFileCache = new Map();
+
+    return (
+      this.files.size !== previousFiles.size ||
+      Array.from(this.files).some((file) => !previousFiles.has(file))
+    );
+  }
+
+  // Every file resolves its imports with the options of its own project,
+  // and sibling packages resolve to their sources rather than their output
+  useWorkspaceResolution(host) {
+    if (!this.isMonorepo) return;
+
+    host.resolveModuleNameLiterals = (
+      literals,
+      containingFile,
+      reference,
+      _,
+      file
+    ) =>
+      literals.map((literal) => {
+        const fileName = this.resolveModule(literal, file);
+        return {
+          resolvedModule: fileName && {
+            resolvedFileName: fileName,
+            extension: resolvedExtensions.find((extension) =>
+              fileName.endsWith(extension)
+            ),
+            isExternalLibraryImport: /[\\/]node_modules[\\/]/.test(fileName)
+          }
+        };
+      });
+  }
+
+  // The innermost project a file belongs to, by membership first and by
+  // directory second so package.json files are attributed as well
+  getProject(fileName) {
+    const byDepth = (a, b) => b.dir.length - a.dir.length;
+    const [member] = this.projects
+      .filter((project) => project.fileSet.has(fileName))
+      .sort(byDepth);
+    if (member) return member;
+
+    return this.projects
+      .filter((project) => !path.relative(project.dir, fileName).startsWith('..'))
+      .sort(byDepth)[0];
+  }
+
+  resolveModule(specifier, sourceFile) {
+    const project = this.getProject(sourceFile.fileName) || this.projects[0];
+    const { resolvedModule } = ts.resolveModuleName(
+      specifier.text,
+      sourceFile.fileName,
+      project.options,
+      this.host,
+      project.resolutionCache,
+      undefined,
+      ts.getModeForUsageLocation(sourceFile, specifier, project.options)
+    );
+    if (resolvedModule) {
+      return this.toSourceFile(resolvedModule.resolvedFileName);
+    }
+
+    // Older resolution modes know neither self-references nor uninstalled
+    // workspace packages
+    const reference = this.resolvePackageReference(specifier.text);
+    return reference && this.toSourceFile(reference);
+  }
+
+  // `my-package/sub` imported from a package of this workspace, mapped
+  // through its `exports` field or `main`
+  resolvePackageReference(specifier) {
+    const project = this.projects.find(
+      ({ name }) => name && (specifier === name || specifier.startsWith(`${name}/`))
+    );
+    if (!project) return undefined;
+
+    const subpath = `.${specifier.slice(project.name.length)}`;
+    const { exports: exportsField, main } = project.packageJson;
+    let target;
+    if (exportsField === undefined) {
+      target = subpath === '.' ? main || 'index.js' : subpath;
+    } else if (typeof exportsField !== 'object' || Array.isArray(exportsField)) {
+      target = subpath === '.' ? getExportTarget(exportsField) : undefined;
+    } else if (!Object.keys(exportsField).every((key) => key.startsWith('.'))) {
+      // Only conditions, no subpaths
+      target = subpath === '.' ? getExportTarget(exportsField) : undefined;
+    } else {
+      target = matchExportsSubpath(exportsField, subpath);
+    }
+
+    return target && path.resolve(path.dirname(project.packageJsonPath), target);
+  }
+
+  // Build output and declaration files are mapped back to the project source
+  // they were compiled from, anything else is returned unchanged
+  toSourceFile(fileName) {
+    if (this.files.has(fileName)) return fileName;
+    if (this.sourceFileCache.has(fileName))
+      return this.sourceFileCache.get(fileName);
+
+    const stripped = fileName.replace(
+      /(\.d)?\.(ts|tsx|mts|cts|js|jsx|mjs|cjs)$/,
+      ''
+    );
+    const sourceFile = this.getSourceCandidates(stripped)
+      .flatMap((candidate) => [
+        ...sourceExtensions.map((extension) => candidate + extension),
+        ...sourceExtensions.map((extension) =>
+          path.join(candidate, `index${extension}`)
+        )
+      ])
+      .find((candidate) => this.files.has(candidate));
+
+    const result = sourceFile || fileName;
+    this.sourceFileCache.set(fileName, result);
+    return result;
+  }
+
+  // Build output points at compiled files, map them back into the sources
+  getSourceCandidates(target) {
+    const candidates = [target];
+
+    this.projects.forEach(({ options, dir }) => {
+      [options.outDir, options.declarationDir].forEach((outputDir) => {
+        const relative = outputDir && path.relative(outputDir, target);
+        if (relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+          const rootDir = options.rootDir || dir;
+          candidates.push(path.join(rootDir, relative));
+        }
+      });
+    });
+
+    return candidates;
+  }
+}
+
+// Discovers the projects below projectPath. Without an explicit tsconfig the
+// npm/yarn `workspaces` field and pnpm-workspace.yaml are followed as well as
+// project `references`. jsconfig.json counts as a tsconfig, and JavaScript
+// packages without either are analyzed with a synthesized config.
+function loadWorkspace(projectPath, tsConfigPath, { files, logger = console } = {}) {
+  const rootDir = path.resolve(projectPath);
+  const rootConfigPath = tsConfigPath || findUp(rootDir, configFileNames);
+  const configPaths = [];
+  const configlessDirs = [];
+
+  const addConfig = (configPath) => {
+    if (configPaths.includes(configPath)) return;
+    configPaths.push(configPath);
+  };
+
+  if (rootConfigPath) addConfig(path.resolve(rootConfigPath));
+  if (!tsConfigPath) {
+    getWorkspacePackageDirs(rootDir, logger).forEach((dir) => {
+      const configPath = configFileNames
+        .map((fileName) => path.join(dir, fileName))
+        .find((candidate) => fs.existsSync(candidate));
+      if (configPath) {
+        addConfig(configPath);
+      } else {
+        configlessDirs.push(dir);
+      }
+    });
+  }
+  if (configPaths.length === 0 && configlessDirs.length === 0) {
+    configlessDirs.push(rootDir);
+  }
+
+  // References are followed transitively, the list grows while we walk it
+  const projects = [];
+  for (let i = 0; i < configPaths.length; i++) {
+    const project = loadProject(configPaths[i], logger);
+    (project.references || []).forEach((reference) =>
+      addConfig(ts.resolveProjectReferencePath(reference))
+    );
+    // Solution style configs only list references
+    if (project.fileNames.length > 0) projects.push(project);
+  }
+  configlessDirs.forEach((dir) => {
+    const project = synthesizeProject(dir, logger);
+    if (project.fileNames.length > 0) projects.push(project);
+  });
+
+  if (projects.length === 0) {
+    throw new Error(
+      `No source files found for ${[...configPaths, ...configlessDirs].join(', ')}`
+    );
+  }
+
+  return new Workspace(rootDir, projects, { files, logger });
+}
+
+function loadProject(configPath, logger) {
+  const configFile = ts.readConfigFile(configPath, ts.sys.readFile);
+  if (configFile.error) {
+    throw new Error(
+      `Error reading ${configPath}: ${ts.flattenDiagnosticMessageText(
+        configFile.error.messageText,
+        '\n'
+      )}`
+    );
+  }
+
+  // The defaults editors apply to jsconfig.json
+  const existingOptions =
+    path.basename(configPath) === 'jsconfig.json' ? jsConfigDefaults : undefined;
+  return createProject(
+    path.dirname(configPath),
+    configFile.config,
+    configPath,
+    existingOptions,
+    logger
+  );
+}
+
+// Plain JavaScript without any config, CommonJS or ES modules alike
+function synthesizeProject(dir, logger) {
+  const config = {
+    compilerOptions: {
+      ...jsConfigDefaults,
+      target: 'esnext',
+      module: 'preserve',
+      jsx: 'preserve'
+    },
+    exclude: ['**/node_modules', '**/dist', '**/build', '**/coverage']
+  };
+  return createProject(dir, config, undefined, undefined, logger);
+}
+
+function createProject(dir, config, configPath, existingOptions, logger) {
+  const parsedConfig = ts.parseJsonConfigFileContent(
+    config,
+    ts.sys,
+    dir,
+    existingOptions,
+    configPath
+  );
+  const packageJsonPath = findUp(dir, 'package.json');
+  const packageJson =
+    (packageJsonPath && readPackageJson(packageJsonPath, logger)) || {};
+
+  return {
+    name: packageJson.name,
+    dir,
+    configPath, // Undefined for synthesized projects
+    packageJsonPath,
+    packageJson,
+    options: parsedConfig.options,
+    references: parsedConfig.projectReferences,
+    fileNames: parsedConfig.fileNames,
+    fileSet: new Set(parsedConfig.fileNames),
+    resolutionCache: ts.createModuleResolutionCache(
+      dir,
+      (fileName) =>
+        ts.sys.useCaseSensitiveFileNames ? fileName : fileName.toLowerCase(),
+      parsedConfig.options
+    )
+  };
+}
+
+// Package directories listed by the `workspaces` field of package.json (npm,
+// yarn) or by pnpm-workspace.yaml
+function getWorkspacePackageDirs(rootDir, logger) {
+  const patterns = [];
+
+  const packageJsonPath = path.join(rootDir, 'package.json');
+  const packageJson = fs.existsSync(packageJsonPath)
+    ? readPackageJson(packageJsonPath, logger)
+    : undefined;
+  const workspaces = packageJson && packageJson.workspaces;
+  if (Array.isArray(workspaces)) {
+    patterns.push(...workspaces);
+  } else if (workspaces && Array.isArray(workspaces.packages)) {
+    // Yarn's `{ packages, nohoist }` form
+    patterns.push(...workspaces.packages);
+  }
+
+  const pnpmWorkspacePath = path.join(rootDir, 'pnpm-workspace.yaml');
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    patterns.push(...readPnpmPackages(fs.readFileSync(pnpmWorkspacePath, 'utf8')));
+  }
+  if (patterns.length === 0) return [];
+
+  const include = patterns.filter((pattern) => !pattern.startsWith('!'));
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith('!'))
+    .map((pattern) => pattern.slice(1));
+
+  return findDirectories(rootDir).filter(
+    (dir) =>
+      matchesGlob(dir, include, rootDir) &&
+      !matchesGlob(dir, exclude, rootDir) &&
+      fs.existsSync(path.join(dir, 'package.json'))
+  );
+}
+
+// Just the `packages:` list, which is all pnpm-workspace.yaml is used for here
+function readPnpmPackages(text) {
+  const packages = [];
+  let inPackages = false;
+
+  text.split(/\r?\n/).forEach((line) => {
+    if (/^\S/.test(line)) {
+      inPackages = /^packages\s*:/.test(line);
+      return;
+    }
+    const item = inPackages && line.match(/^\s*-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+    if (item) packages.push(item[1]);
+  });
+
+  return packages;
+}
+
+function findDirectories(rootDir) {
+  const directories = [];
+  const visit = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+      if (!entry.isDirectory() || entry.name === 'node_modules') return;
+      if (entry.name.startsWith('.')) return;
+
+      const fullPath = path.join(dir, entry.name);
+      directories.push(fullPath);
+      visit(fullPath);
+    });
+  };
+
+  visit(rootDir);
+  return directories;
+}
+
+function matchExportsSubpath(exportsField, subpath) {
+  if (exportsField[subpath] !== undefined) {
+    return getExportTarget(exportsField[subpath]);
+  }
+
+  // `./features/*` patterns, longest prefix first like Node does
+  const patterns = Object.keys(exportsField)
+    .filter((key) => key.includes('*'))
+    .sort((a, b) => b.indexOf('*') - a.indexOf('*'));
+  for (const key of patterns) {
+    const [prefix, suffix] = key.split('*');
+    if (
+      subpath.startsWith(prefix) &&
+      subpath.endsWith(suffix) &&
+      subpath.length >= prefix.length + suffix.length
+    ) {
+      const match = subpath.slice(prefix.length, subpath.length - suffix.length);
+      const target = getExportTarget(exportsField[key]);
+      return target && target.replace(/\*/g, match);
+    }
+  }
+  return undefined;
+}
+
+// First string leaf of a condition map or fallback array
+function getExportTarget(value) {
+  if (typeof value === 'string') return value;
+  if (Array.isArray(value)) {
+    return value.map((item) => getExportTarget(item)).find(Boolean);
+  }
+  if (value && typeof value === 'object') {
+    // Conditions apply in the order they are listed
+    const conditions = ['types', 'import', 'require', 'node', 'default'];
+    const key =
+      Object.keys(value).find((condition) => conditions.includes(condition)) ||
+      Object.keys(value)[0];
+    return key && getExportTarget(value[key]);
+  }
+  return undefined;
+}
+
+function readPackageJson(packageJsonPath, logger) {
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+  } catch (error) {
+    logger.warn(`⚠️ Could not read ${packageJsonPath}:`, error.message);
+    return undefined;
+  }
+}
+
+// The nearest of the file names, the first listed wins within a directory
+function findUp(startPath, fileNames) {
+  let currentDir = path.resolve(startPath);
+
+  while (currentDir !== path.dirname(currentDir)) {
+    const filePath = [fileNames]
+      .flat()
+      .map((fileName) => path.join(currentDir, fileName))
+      .find((candidate) => fs.existsSync(candidate));
+    if (filePath) {
+      return filePath;
+    }
+    currentDir = path.dirname(currentDir);
+  }
+
+  return undefined;
+}
+
+export { Workspace, loadWorkspace };